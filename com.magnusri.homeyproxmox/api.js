@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * Endpoints of the settings page
+ * Connections are changed through the app, so their cached privileges and cluster name are cleared.
+ * Connections are tested before they are stored, so wrong credentials don't end up in device errors.
+ */
+module.exports = {
+
+  async saveConnection({ homey, body }) {
+    const ticket = await homey.app.testConnection(body);
+    return homey.app.saveConnection(body, ticket);
+  },
+
+  async deleteConnection({ homey, params }) {
+    homey.app.deleteConnection(params.id);
+  },
+
+  async testConnection({ homey, body }) {
+    await homey.app.testConnection(body);
+  },
+
+};
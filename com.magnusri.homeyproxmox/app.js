@@ -1,6 +1,17 @@
 'use strict';
 
+const crypto = require('crypto');
 const Homey = require('homey');
+const ClusterPoller = require('./lib/cluster-poller');
+const DeviceIdentity = require('./lib/device-identity');
+const FlowCards = require('./lib/flow-cards');
+const GuestWatcher = require('./lib/guest-watcher');
+const Permissions = require('./lib/permissions');
+const ProxmoxAPI = require('./lib/proxmox-api');
+const TaskTracker = require('./lib/task-tracker');
+
+// Privileges rarely change, check them again after this time
+const PERMISSION_CACHE_TIME = 60 * 60 * 1000;
 
 module.exports = class MyApp extends Homey.App {
 
@@ -9,52 +20,377 @@ module.exports = class MyApp extends Homey.App {
    */
   async onInit() {
     this.log('MyApp has been initialized');
+
+    // Shared cluster pollers, keyed by connection ID
+    this.pollers = new Map();
+
+    // Tracks tasks (UPIDs) started by flow actions until they finish
+    this.taskTracker = new TaskTracker(this.homey);
+
+    // Effective privileges per connection ID, as { time, promise }
+    this.permissionCache = new Map();
+
+    // Cluster name per connection ID, see getClusterName
+    this.clusterNames = new Map();
+
+    // Guest watchers, keyed by connection ID
+    this.guestWatchers = new Map();
+
+    // Device flow cards are shared by all drivers
+    FlowCards.register(this.homey);
+
+    this.certificateMismatchTrigger = this.homey.flow.getTriggerCard('certificate_mismatch');
+    this.guestCreatedTrigger = this.homey.flow.getTriggerCard('guest_created');
+    this.guestDestroyedTrigger = this.homey.flow.getTriggerCard('guest_destroyed');
+
+    this.migrateLegacyCredentials();
+
+    // Keep login tickets across restarts, so accounts with TOTP don't need a new code
+    ProxmoxAPI.setTicketListener((connectionId, ticket) => {
+      const tickets = this.homey.settings.get('proxmox_tickets') || {};
+      tickets[connectionId] = ticket;
+      this.homey.settings.set('proxmox_tickets', tickets);
+    });
+
+    // Keep certificate checks and logins in sync with the stored connections
+    this.applyConnectionSettings();
+    this.applyRequestSettings();
+    this.updateGuestWatchers();
+    this.homey.settings.on('set', (key) => {
+      if (key === 'proxmox_connections') {
+        this.applyConnectionSettings();
+        this.updateGuestWatchers();
+      } else if (key === 'proxmox_request_options') {
+        this.applyRequestSettings();
+      }
+    });
+  }
+
+  /**
+   * Configure certificate verification and authentication for every connection
+   */
+  applyConnectionSettings() {
+    const tickets = this.homey.settings.get('proxmox_tickets') || {};
+    for (const connection of this.getConnections()) {
+      ProxmoxAPI.configureTLS(connection.id, connection);
+      // Older versions stored tickets by host, a ticket of another user on it is not resumed
+      ProxmoxAPI.configureAuth(connection.id, connection, tickets[connection.id] || tickets[connection.host]);
+    }
+  }
+
+  /**
+   * Configure the request timeout and retries from the advanced settings
+   * The setting holds the timeout and retry delay in seconds.
+   */
+  applyRequestSettings() {
+    const options = this.homey.settings.get('proxmox_request_options');
+    if (!options) {
+      return;
+    }
+    ProxmoxAPI.configureRequests({
+      timeout: options.timeout * 1000,
+      retries: options.retries,
+      retryDelay: options.retryDelay * 1000,
+    });
   }
 
   /**
-   * Get stored Proxmox credentials from app settings
-   * @returns {Object|null} Credentials object with host, port, tokenID, tokenSecret or null if not set
+   * Start a guest watcher for every connection and stop those of deleted connections
    */
-  getCredentials() {
+  updateGuestWatchers() {
+    const connectionIds = this.getConnections().map((connection) => connection.id);
+    for (const [connectionId, watcher] of this.guestWatchers) {
+      if (!connectionIds.includes(connectionId)) {
+        watcher.stop();
+        watcher.clear();
+        this.guestWatchers.delete(connectionId);
+      }
+    }
+    for (const connectionId of connectionIds) {
+      if (!this.guestWatchers.has(connectionId)) {
+        const watcher = new GuestWatcher(this.homey, connectionId, {
+          onCreated: (guest) => this.triggerGuestChange(this.guestCreatedTrigger, connectionId, guest),
+          onDestroyed: (guest) => this.triggerGuestChange(this.guestDestroyedTrigger, connectionId, guest),
+        });
+        watcher.start();
+        this.guestWatchers.set(connectionId, watcher);
+      }
+    }
+  }
+
+  /**
+   * Fire a guest created or destroyed trigger
+   * @param {Object} card - Trigger card
+   * @param {string} connectionId - Connection ID
+   * @param {Object} guest - Object with vmid, name, node and type
+   */
+  triggerGuestChange(card, connectionId, guest) {
+    const connection = this.getConnection(connectionId);
+    card.trigger({
+      connection: connection ? connection.name : '',
+      vmid: guest.vmid,
+      name: guest.name,
+      node: guest.node,
+      type: guest.type,
+    }).catch((error) => this.error(error));
+  }
+
+  /**
+   * Whether a guest was destroyed and its devices should show that instead of searching for it
+   * Can be turned off in the app settings.
+   * @param {string} connectionId - Connection ID
+   * @param {string} type - 'vm' or 'lxc'
+   * @param {number} vmid - Guest ID
+   */
+  isGuestDestroyed(connectionId, type, vmid) {
+    if (this.homey.settings.get('proxmox_mark_destroyed') === false) {
+      return false;
+    }
+    const watcher = this.guestWatchers.get(connectionId);
+    return Boolean(watcher && watcher.isDestroyed(type, vmid));
+  }
+
+  /**
+   * Fire the certificate mismatch trigger for a connection
+   * @param {string} connectionId - Connection ID
+   * @param {CertificateMismatchError} error - Error with host and fingerprint
+   */
+  triggerCertificateMismatch(connectionId, error) {
+    const connection = this.getConnection(connectionId);
+    this.error(`Certificate mismatch on connection ${connection ? connection.name : connectionId}:`, error.message);
+    this.certificateMismatchTrigger.trigger({
+      connection: connection ? connection.name : '',
+      host: error.host || '',
+      fingerprint: error.fingerprint || '',
+    }).catch((triggerError) => this.error(triggerError));
+  }
+
+  /**
+   * Convert the single proxmox_credentials setting of older versions into a connection
+   */
+  migrateLegacyCredentials() {
     try {
       const credentials = this.homey.settings.get('proxmox_credentials');
-      if (credentials && credentials.host && credentials.tokenID && credentials.tokenSecret) {
-        return credentials;
+      if (!credentials) {
+        return;
       }
-      return null;
+      if (credentials.host && credentials.tokenID && credentials.tokenSecret) {
+        this.findOrCreateConnection(credentials);
+        this.log('Migrated stored credentials to a connection');
+      }
+      this.homey.settings.unset('proxmox_credentials');
     } catch (error) {
-      this.error('Error getting credentials:', error);
-      return null;
+      this.error('Error migrating credentials:', error);
     }
   }
 
   /**
-   * Store Proxmox credentials in app settings
-   * @param {Object} credentials - Credentials object with host, port, tokenID, tokenSecret
-   * @returns {boolean} True if successful, false otherwise
+   * Get all configured Proxmox connections
+   * @returns {Array} Connection objects with id, name, host, port, credentials and certificate settings
+   */
+  getConnections() {
+    return this.homey.settings.get('proxmox_connections') || [];
+  }
+
+  /**
+   * Get a connection by ID
+   * @param {string} id - Connection ID
+   * @returns {Object|null} Connection object or null if it does not exist
+   */
+  getConnection(id) {
+    return this.getConnections().find((connection) => connection.id === id) || null;
+  }
+
+  /**
+   * Add a new connection or update an existing one
+   * @param {Object} connection - Connection with name, host, port, authMethod ('token' or 'password'),
+   *   tokenID and tokenSecret or username and password, the certificate settings tlsMode, ca and
+   *   fingerprint and, when updating, id
+   * @param {Object} [ticket] - Ticket of a login with these settings, see ProxmoxAPI.testSettings
+   * @returns {Object} The stored connection
    */
-  setCredentials(credentials) {
+  saveConnection(connection, ticket = null) {
+    if (!connection || !connection.host) {
+      throw new Error('Host is required');
+    }
+    const authMethod = connection.authMethod || 'token';
+    if (authMethod === 'password' && (!connection.username || !connection.password)) {
+      throw new Error('Username and password are required');
+    }
+    if (authMethod === 'token' && (!connection.tokenID || !connection.tokenSecret)) {
+      throw new Error('Token ID and token secret are required');
+    }
+
+    const connections = this.getConnections();
+    const connectionToStore = {
+      id: connection.id || crypto.randomBytes(6).toString('hex'),
+      name: connection.name || connection.host,
+      host: connection.host,
+      port: connection.port || '8006',
+      authMethod,
+      tokenID: authMethod === 'token' ? connection.tokenID : '',
+      tokenSecret: authMethod === 'token' ? connection.tokenSecret : '',
+      username: authMethod === 'password' ? connection.username : '',
+      password: authMethod === 'password' ? connection.password : '',
+      // Connections created before certificate verification existed keep accepting any certificate
+      tlsMode: connection.tlsMode || 'insecure',
+      ca: connection.ca || '',
+      fingerprint: connection.fingerprint || '',
+    };
+
+    const index = connections.findIndex((c) => c.id === connectionToStore.id);
+    if (index >= 0) {
+      connections[index] = connectionToStore;
+    } else {
+      connections.push(connectionToStore);
+    }
+
+    // Store the ticket first, storing the connections applies them with their stored tickets
+    if (ticket) {
+      const tickets = this.homey.settings.get('proxmox_tickets') || {};
+      tickets[connectionToStore.id] = ticket;
+      this.homey.settings.set('proxmox_tickets', tickets);
+    }
+    this.homey.settings.set('proxmox_connections', connections);
+    ProxmoxAPI.configureTLS(connectionToStore.id, connectionToStore);
+    ProxmoxAPI.configureAuth(connectionToStore.id, connectionToStore, ticket);
+    this.permissionCache.delete(connectionToStore.id);
+    this.clusterNames.delete(connectionToStore.id);
+    this.updateGuestWatchers();
+    this.log(`Connection ${connectionToStore.name} stored successfully`);
+    return connectionToStore;
+  }
+
+  /**
+   * Delete a connection
+   * Devices still referencing it become unavailable on their next poll.
+   * @param {string} id - Connection ID
+   */
+  deleteConnection(id) {
+    const connections = this.getConnections().filter((connection) => connection.id !== id);
+    this.homey.settings.set('proxmox_connections', connections);
+    this.permissionCache.delete(id);
+    this.clusterNames.delete(id);
+    this.log(`Connection ${id} deleted`);
+  }
+
+  /**
+   * Check that connection settings can reach Proxmox and log in, without storing them
+   * @param {Object} connection - Connection as passed to saveConnection
+   * @returns {Promise<Object|null>} Ticket of a username/password login, to pass to saveConnection
+   */
+  async testConnection(connection) {
+    if (!connection || !connection.host) {
+      throw new Error('Connection needs a host');
+    }
+    return ProxmoxAPI.testSettings(connection);
+  }
+
+  /**
+   * Find the connection matching host, port and token ID, creating one if there is none
+   * Used to migrate devices that still carry their own credentials.
+   * @param {Object} credentials - Object with host, port, tokenID, tokenSecret
+   * @returns {Object} Matching or newly created connection
+   */
+  findOrCreateConnection(credentials) {
+    const port = credentials.port || '8006';
+    const existing = this.getConnections().find((connection) => connection.host === credentials.host
+      && String(connection.port) === String(port)
+      && connection.tokenID === credentials.tokenID);
+    if (existing) {
+      return existing;
+    }
+    return this.saveConnection({
+      host: credentials.host,
+      port,
+      tokenID: credentials.tokenID,
+      tokenSecret: credentials.tokenSecret,
+    });
+  }
+
+  /**
+   * Get the name of the cluster behind a connection, which identifies its devices
+   * @param {string} connectionId - Connection ID
+   * @returns {Promise<string|null>} Cluster name, or null when it could not be determined
+   */
+  async getClusterName(connectionId) {
+    if (this.clusterNames.has(connectionId)) {
+      return this.clusterNames.get(connectionId);
+    }
+    const connection = this.getConnection(connectionId);
+    if (!connection) {
+      return null;
+    }
     try {
-      if (!credentials || !credentials.host || !credentials.tokenID || !credentials.tokenSecret) {
-        this.error('Invalid credentials provided');
-        return false;
+      const status = await ProxmoxAPI.getClusterStatus(connection.id, connection.host, connection.port, connection.tokenID, connection.tokenSecret);
+      const name = DeviceIdentity.clusterName(status);
+      if (name) {
+        this.clusterNames.set(connectionId, name);
       }
+      return name;
+    } catch (error) {
+      this.error(`Could not get the cluster name of connection ${connection.name}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get the effective privileges of a connection's token or user
+   * Cached for an hour and shared by all devices of the connection.
+   * @param {string} connectionId - Connection ID
+   * @returns {Promise<Permissions|null>} Permissions, or null when they could not be determined
+   */
+  getPermissions(connectionId) {
+    const cached = this.permissionCache.get(connectionId);
+    if (cached && Date.now() - cached.time < PERMISSION_CACHE_TIME) {
+      return cached.promise;
+    }
 
-      // Ensure port has a default value
-      const credentialsToStore = {
-        host: credentials.host,
-        port: credentials.port || '8006',
-        tokenID: credentials.tokenID,
-        tokenSecret: credentials.tokenSecret,
-      };
-
-      this.homey.settings.set('proxmox_credentials', credentialsToStore);
-      this.log('Credentials stored successfully');
-      return true;
+    const promise = this.fetchPermissions(connectionId);
+    this.permissionCache.set(connectionId, { time: Date.now(), promise });
+    return promise;
+  }
+
+  async fetchPermissions(connectionId) {
+    const connection = this.getConnection(connectionId);
+    if (!connection) {
+      return null;
+    }
+    try {
+      const privileges = await ProxmoxAPI.getPermissions(connection.id, connection.host, connection.port, connection.tokenID, connection.tokenSecret);
+      return new Permissions(privileges);
     } catch (error) {
-      this.error('Error storing credentials:', error);
-      return false;
+      // Don't restrict anything when the check itself fails, the API calls will tell
+      this.error(`Could not check permissions of connection ${connection.name}:`, error.message);
+      this.permissionCache.delete(connectionId);
+      return null;
+    }
+  }
+
+  /**
+   * Get (or create) the shared poller for a connection
+   * @param {string} connectionId - Connection ID
+   * @returns {ClusterPoller} Poller shared by all devices using this connection
+   */
+  getPoller(connectionId) {
+    let poller = this.pollers.get(connectionId);
+    if (!poller) {
+      poller = new ClusterPoller(this.homey, connectionId);
+      this.pollers.set(connectionId, poller);
+    }
+    return poller;
+  }
+
+  /**
+   * Drop a poller once its last device has unregistered
+   * @param {ClusterPoller} poller - Poller to release
+   */
+  releasePoller(poller) {
+    if (!poller.isEmpty()) {
+      return;
     }
+    poller.stop();
+    this.pollers.delete(poller.connectionId);
   }
 
 };
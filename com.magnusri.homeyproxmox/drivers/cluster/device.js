@@ -0,0 +1,5 @@
+'use strict';
+
+const ProxmoxDevice = require('../../lib/proxmox-device');
+
+module.exports = class ClusterDevice extends ProxmoxDevice {};
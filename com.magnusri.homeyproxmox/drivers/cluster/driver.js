@@ -0,0 +1,14 @@
+'use strict';
+
+const ProxmoxDriver = require('../../lib/proxmox-driver');
+
+/**
+ * The cluster itself, one device per connection
+ */
+module.exports = class ClusterDriver extends ProxmoxDriver {
+
+  get deviceType() {
+    return 'cluster';
+  }
+
+};
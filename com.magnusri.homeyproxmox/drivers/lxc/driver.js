@@ -0,0 +1,14 @@
+'use strict';
+
+const ProxmoxDriver = require('../../lib/proxmox-driver');
+
+/**
+ * LXC containers
+ */
+module.exports = class LXCDriver extends ProxmoxDriver {
+
+  get deviceType() {
+    return 'lxc';
+  }
+
+};
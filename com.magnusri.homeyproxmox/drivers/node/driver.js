@@ -0,0 +1,14 @@
+'use strict';
+
+const ProxmoxDriver = require('../../lib/proxmox-driver');
+
+/**
+ * Cluster nodes
+ */
+module.exports = class NodeDriver extends ProxmoxDriver {
+
+  get deviceType() {
+    return 'node';
+  }
+
+};
@@ -0,0 +1,14 @@
+'use strict';
+
+const ProxmoxDriver = require('../../lib/proxmox-driver');
+
+/**
+ * Storages, shared ones once per cluster and local ones per node
+ */
+module.exports = class StorageDriver extends ProxmoxDriver {
+
+  get deviceType() {
+    return 'storage';
+  }
+
+};
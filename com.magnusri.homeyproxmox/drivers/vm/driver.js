@@ -0,0 +1,14 @@
+'use strict';
+
+const ProxmoxDriver = require('../../lib/proxmox-driver');
+
+/**
+ * QEMU virtual machines
+ */
+module.exports = class VMDriver extends ProxmoxDriver {
+
+  get deviceType() {
+    return 'vm';
+  }
+
+};
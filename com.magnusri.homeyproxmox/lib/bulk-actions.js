@@ -0,0 +1,193 @@
+'use strict';
+
+const ProxmoxAPI = require('./proxmox-api');
+
+/**
+ * Actions on all guests of a connection that have a tag, belong to a resource pool or run on a node
+ * Guests are started in the startup order configured in Proxmox and shut down or stopped in
+ * reverse order, like Proxmox itself does when a node boots or shuts down. Guests sharing an
+ * order are handled together, the next order waits until their tasks are done.
+ */
+class BulkActions {
+
+  /**
+   * @param {Object} homey - Homey instance (used for timers and the task tracker)
+   * @param {Object} connection - Connection with id, host, port, tokenID and tokenSecret
+   */
+  constructor(homey, connection) {
+    this.homey = homey;
+    this.connection = connection;
+  }
+
+  /**
+   * Whether a guest matches a selection
+   * @param {Object} guest - Guest as returned by ProxmoxAPI.getGuests
+   * @param {string} match - 'tag', 'pool' or 'node'
+   * @param {string} target - Tag, pool or node name
+   */
+  static matches(guest, match, target) {
+    if (match === 'tag') {
+      return guest.tags.some((tag) => tag.toLowerCase() === target.toLowerCase());
+    }
+    if (match === 'pool') {
+      return guest.pool === target;
+    }
+    return guest.node === target;
+  }
+
+  /**
+   * Parse the startup option of a guest, e.g. "order=1,up=30,down=60"
+   * @returns {Object} Object with order, up and down, null where not configured
+   */
+  static parseStartup(startup) {
+    const result = { order: null, up: null, down: null };
+    for (const part of String(startup || '').split(',')) {
+      const [key, value] = part.split('=');
+      if (key in result && value !== undefined) {
+        result[key] = parseInt(value, 10);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Find the guests matching a selection, templates excluded
+   * Guests on nodes that are offline report their status as unknown and are left out as well.
+   * @param {string} match - 'tag', 'pool' or 'node'
+   * @param {string} target - Tag, pool or node name
+   * @returns {Promise<Array>} Guests as returned by ProxmoxAPI.getGuests
+   */
+  async findGuests(match, target) {
+    const credentials = this.connection;
+    const guests = await ProxmoxAPI.getGuests(credentials.id, credentials.host, credentials.port, credentials.tokenID, credentials.tokenSecret);
+    return guests.filter((guest) => !guest.template && guest.status !== 'unknown'
+      && BulkActions.matches(guest, match, target));
+  }
+
+  /**
+   * Group guests by their startup order
+   * Guests without an order come last, as in Proxmox. So do guests whose configuration could not
+   * be read, the action itself reports whether they can be handled.
+   * @param {Array} guests - Guests as returned by ProxmoxAPI.getGuests
+   * @returns {Promise<Array<Array>>} Groups in startup order, each guest with its parsed startup option
+   */
+  async groupByStartupOrder(guests) {
+    const credentials = this.connection;
+    const withStartup = await Promise.all(guests.map(async (guest) => {
+      const config = await (guest.type === 'lxc'
+        ? ProxmoxAPI.getLXCConfig(credentials.id, credentials.host, credentials.port, guest.node, guest.vmid, credentials.tokenID, credentials.tokenSecret)
+        : ProxmoxAPI.getVMConfig(credentials.id, credentials.host, credentials.port, guest.node, guest.vmid, credentials.tokenID, credentials.tokenSecret))
+        .catch(() => ({}));
+      return { guest, startup: BulkActions.parseStartup(config.startup) };
+    }));
+
+    const groups = new Map();
+    for (const entry of withStartup) {
+      const order = entry.startup.order === null ? Infinity : entry.startup.order;
+      if (!groups.has(order)) {
+        groups.set(order, []);
+      }
+      groups.get(order).push(entry);
+    }
+    return [...groups.keys()]
+      .sort((a, b) => a - b)
+      .map((order) => groups.get(order).sort((a, b) => a.guest.vmid - b.guest.vmid));
+  }
+
+  /**
+   * Start, shut down or stop all matching guests
+   * Guests already in the requested state are skipped.
+   * @param {string} action - 'start', 'shutdown' or 'stop'
+   * @param {string} match - 'tag', 'pool' or 'node'
+   * @param {string} target - Tag, pool or node name
+   * @param {Object} [options] - timeout (seconds) and forceStop for shutdowns. Without a timeout,
+   *   the down delay of the startup option is used.
+   * @returns {Promise<Object>} Result with the names of the guests handled and the failures
+   */
+  async power(action, match, target, options = {}) {
+    const guests = (await this.findGuests(match, target))
+      .filter((guest) => (action === 'start' ? guest.status !== 'running' : guest.status !== 'stopped'));
+    const groups = await this.groupByStartupOrder(guests);
+    if (action !== 'start') {
+      groups.reverse();
+    }
+
+    const result = { guests: [], failures: [] };
+    for (const [index, group] of groups.entries()) {
+      await Promise.all(group.map(({ guest, startup }) => this.runTask(result, guest, () => {
+        const credentials = this.connection;
+        const isLXC = guest.type === 'lxc';
+        if (action === 'start') {
+          return isLXC
+            ? ProxmoxAPI.startLXC(credentials.id, credentials.host, credentials.port, guest.node, guest.vmid, credentials.tokenID, credentials.tokenSecret)
+            : ProxmoxAPI.startVM(credentials.id, credentials.host, credentials.port, guest.node, guest.vmid, credentials.tokenID, credentials.tokenSecret);
+        }
+        if (action === 'stop') {
+          return isLXC
+            ? ProxmoxAPI.stopLXC(credentials.id, credentials.host, credentials.port, guest.node, guest.vmid, credentials.tokenID, credentials.tokenSecret)
+            : ProxmoxAPI.stopVM(credentials.id, credentials.host, credentials.port, guest.node, guest.vmid, credentials.tokenID, credentials.tokenSecret);
+        }
+        const timeout = options.timeout || startup.down;
+        return isLXC
+          ? ProxmoxAPI.shutdownLXC(credentials.id, credentials.host, credentials.port, guest.node, guest.vmid, credentials.tokenID, credentials.tokenSecret, timeout, options.forceStop)
+          : ProxmoxAPI.shutdownVM(credentials.id, credentials.host, credentials.port, guest.node, guest.vmid, credentials.tokenID, credentials.tokenSecret, timeout, options.forceStop);
+      })));
+
+      // Give started guests their configured up delay before starting the next order
+      const up = Math.max(0, ...group.map(({ startup }) => startup.up || 0));
+      if (action === 'start' && up > 0 && index < groups.length - 1) {
+        await new Promise((resolve) => this.homey.setTimeout(resolve, up * 1000));
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Take a snapshot of all matching guests
+   * @param {string} match - 'tag', 'pool' or 'node'
+   * @param {string} target - Tag, pool or node name
+   * @param {string} name - Snapshot name
+   * @param {string} [description] - Snapshot description
+   * @returns {Promise<Object>} Result with the names of the guests handled and the failures
+   */
+  async snapshot(match, target, name, description) {
+    if (!/^[A-Za-z][A-Za-z0-9_-]+$/.test(name)) {
+      throw new Error(this.homey.__('errors.invalid_snapshot_name', { name }));
+    }
+
+    const guests = await this.findGuests(match, target);
+    const credentials = this.connection;
+
+    const result = { guests: [], failures: [] };
+    await Promise.all(guests.map((guest) => this.runTask(result, guest, () => (guest.type === 'lxc'
+      ? ProxmoxAPI.createLXCSnapshot(credentials.id, credentials.host, credentials.port, guest.node, guest.vmid, name, description, credentials.tokenID, credentials.tokenSecret)
+      : ProxmoxAPI.createVMSnapshot(credentials.id, credentials.host, credentials.port, guest.node, guest.vmid, name, description, credentials.tokenID, credentials.tokenSecret)))));
+    return result;
+  }
+
+  /**
+   * Run the API call for one guest and wait for its task
+   * Failures are collected instead of thrown, so one guest cannot hold up the others.
+   * @param {Object} result - Result to add the guest or its failure to
+   * @param {Object} guest - Guest as returned by ProxmoxAPI.getGuests
+   * @param {Function} call - Starts the task and resolves with its UPID
+   */
+  async runTask(result, guest, call) {
+    const label = guest.name || `${guest.type} ${guest.vmid}`;
+    try {
+      const upid = await call();
+      if (upid) {
+        const task = await this.homey.app.taskTracker.track(this.connection, upid);
+        if (!task.success) {
+          throw new Error(task.exitStatus);
+        }
+      }
+      result.guests.push(label);
+    } catch (error) {
+      result.failures.push(`${label}: ${error.message}`);
+    }
+  }
+
+}
+
+module.exports = BulkActions;
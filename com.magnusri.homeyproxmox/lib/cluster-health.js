@@ -0,0 +1,64 @@
+'use strict';
+
+// HA states of a resource that need attention: the HA manager gave up on it, or is fencing its node
+const FAILED_HA_STATES = ['error', 'fence'];
+
+/**
+ * Health of a cluster, from /cluster/status and /cluster/ha/status/current
+ */
+class ClusterHealth {
+
+  /**
+   * Summarize the status of a cluster
+   * @param {Array} status - Entries of /cluster/status
+   * @param {Array|null} haStatus - Entries of /cluster/ha/status/current, null if not available
+   * @returns {Object} Object with quorate, nodesOnline, nodesTotal, the names of the onlineNodes,
+   *   haState (null without HA status) and the HA services as { sid, state, node }
+   */
+  static summarize(status, haStatus) {
+    const cluster = (status || []).find((entry) => entry.type === 'cluster');
+    const nodes = (status || []).filter((entry) => entry.type === 'node');
+    const onlineNodes = nodes.filter((node) => node.online).map((node) => node.name);
+
+    const services = (haStatus || [])
+      .filter((entry) => entry.type === 'service')
+      .map((entry) => ({ sid: entry.sid, state: entry.state || entry.status, node: entry.node }));
+
+    return {
+      // A standalone host has no cluster entry and is always quorate
+      quorate: cluster ? Boolean(cluster.quorate) : true,
+      nodesOnline: onlineNodes.length,
+      nodesTotal: nodes.length,
+      onlineNodes,
+      haState: haStatus ? ClusterHealth.managerState(haStatus) : null,
+      services,
+    };
+  }
+
+  /**
+   * State of the HA manager
+   * The master entry reads e.g. "pve1 (active, Sat Oct 18 12:00:00 2026)", without HA resources
+   * the manager is idle, and clusters that never used HA have no master at all.
+   * @param {Array} haStatus - Entries of /cluster/ha/status/current
+   * @returns {string} e.g. "active", "idle" or "inactive"
+   */
+  static managerState(haStatus) {
+    const master = haStatus.find((entry) => entry.type === 'master');
+    if (!master) {
+      return 'inactive';
+    }
+    const match = String(master.status || '').match(/\(([^,)]+)/);
+    return match ? match[1].trim() : 'unknown';
+  }
+
+  /**
+   * Whether an HA resource is in a state that needs attention
+   * @param {string} state - State of the resource, e.g. "started", "error" or "fence"
+   */
+  static isFailed(state) {
+    return FAILED_HA_STATES.includes(state);
+  }
+
+}
+
+module.exports = ClusterHealth;
@@ -0,0 +1,160 @@
+'use strict';
+
+const ProxmoxAPI = require('./proxmox-api');
+const { CertificateMismatchError } = require('./errors');
+
+const DEFAULT_INTERVAL = 30;
+
+// Delay before the first poll, so devices initialising together share one request
+const INITIAL_POLL_DELAY = 1000;
+
+/**
+ * Shared poller for a single Proxmox connection
+ * Fetches /cluster/resources once per interval and fans the result out to
+ * every registered device, so the API load no longer grows with the number
+ * of paired devices.
+ */
+class ClusterPoller {
+
+  /**
+   * @param {Object} homey - Homey instance (used for timers and logging)
+   * @param {string} connectionId - ID of the connection in the app settings
+   */
+  constructor(homey, connectionId) {
+    this.homey = homey;
+    this.connectionId = connectionId;
+    this.devices = new Set();
+    this.pollTimer = null;
+    this.initialPollTimer = null;
+    this.pollIntervalSeconds = null;
+    this.pendingPoll = null;
+    this.certificateMismatch = false;
+  }
+
+  /**
+   * Register a device so it receives resource updates
+   * @param {Object} device - ProxmoxDevice instance
+   */
+  register(device) {
+    const isNew = !this.devices.has(device);
+    this.devices.add(device);
+    this.reschedule();
+
+    if (isNew && !this.initialPollTimer) {
+      this.initialPollTimer = this.homey.setTimeout(() => {
+        this.initialPollTimer = null;
+        this.poll().catch((error) => this.homey.app.error(error));
+      }, INITIAL_POLL_DELAY);
+    }
+  }
+
+  /**
+   * Unregister a device, stopping the timer when no devices are left
+   * @param {Object} device - ProxmoxDevice instance
+   */
+  unregister(device) {
+    this.devices.delete(device);
+    this.reschedule();
+  }
+
+  /**
+   * @returns {boolean} True if no devices are registered
+   */
+  isEmpty() {
+    return this.devices.size === 0;
+  }
+
+  /**
+   * (Re)start the poll timer using the shortest interval requested by any device
+   */
+  reschedule() {
+    if (this.devices.size === 0) {
+      this.stop();
+      return;
+    }
+
+    let intervalSeconds = null;
+    for (const device of this.devices) {
+      const deviceInterval = device.getPollingInterval() || DEFAULT_INTERVAL;
+      if (intervalSeconds === null || deviceInterval < intervalSeconds) {
+        intervalSeconds = deviceInterval;
+      }
+    }
+
+    if (this.pollTimer && intervalSeconds === this.pollIntervalSeconds) {
+      return;
+    }
+
+    this.clearPollTimer();
+    this.pollIntervalSeconds = intervalSeconds;
+    this.homey.app.log(`Polling connection ${this.connectionId} every ${intervalSeconds}s for ${this.devices.size} device(s)`);
+
+    this.pollTimer = this.homey.setInterval(() => {
+      this.poll().catch((error) => this.homey.app.error(error));
+    }, intervalSeconds * 1000);
+  }
+
+  /**
+   * Stop all timers
+   */
+  stop() {
+    if (this.initialPollTimer) {
+      this.homey.clearTimeout(this.initialPollTimer);
+      this.initialPollTimer = null;
+    }
+    this.clearPollTimer();
+  }
+
+  clearPollTimer() {
+    if (this.pollTimer) {
+      this.homey.clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  /**
+   * Fetch cluster resources once and hand them to every registered device
+   * Concurrent callers share the same in-flight request.
+   */
+  async poll() {
+    if (this.pendingPoll) {
+      return this.pendingPoll;
+    }
+
+    this.pendingPoll = this.fetchAndDistribute().finally(() => {
+      this.pendingPoll = null;
+    });
+    return this.pendingPoll;
+  }
+
+  async fetchAndDistribute() {
+    const devices = Array.from(this.devices);
+
+    let resources;
+    try {
+      // Read the connection on every poll so updated credentials apply immediately
+      const connection = this.homey.app.getConnection(this.connectionId);
+      if (!connection) {
+        throw new Error(this.homey.__('errors.connection_missing'));
+      }
+      resources = await ProxmoxAPI.getClusterResources(
+        connection.id, connection.host, connection.port,
+        connection.tokenID, connection.tokenSecret,
+      );
+    } catch (error) {
+      // Report a changed certificate once, not on every poll
+      if (error instanceof CertificateMismatchError && !this.certificateMismatch) {
+        this.certificateMismatch = true;
+        this.homey.app.triggerCertificateMismatch(this.connectionId, error);
+      }
+      await Promise.all(devices.map((device) => device.onPollError(error).catch(device.error)));
+      return;
+    }
+    this.certificateMismatch = false;
+
+    await Promise.all(devices.map((device) => device.onPollResult(resources).catch(device.error)));
+  }
+
+}
+
+module.exports = ClusterPoller;
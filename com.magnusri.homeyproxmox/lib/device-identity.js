@@ -0,0 +1,48 @@
+'use strict';
+
+/**
+ * Identity of a paired resource, independent of where it currently runs
+ * Guests are identified by cluster and VM ID, so they stay the same device when migrated.
+ * Shared storages are identified by cluster and name, local storages also by their node.
+ * The cluster device is identified by the cluster alone.
+ */
+class DeviceIdentity {
+
+  /**
+   * @param {string} cluster - Cluster name, or the node name of a standalone host
+   * @param {Object} data - Device data with type and node, vmid, storage and shared
+   * @returns {string} Key such as "homelab/vm/100", also used as data ID of new devices
+   */
+  static key(cluster, data) {
+    if (data.type === 'cluster') {
+      return `${cluster}/cluster`;
+    }
+    if (data.type === 'lxc' || data.type === 'vm') {
+      return `${cluster}/${data.type}/${data.vmid}`;
+    }
+    if (data.type === 'storage') {
+      return data.shared !== false
+        ? `${cluster}/storage/${data.storage}`
+        : `${cluster}/storage/${data.node}/${data.storage}`;
+    }
+    return `${cluster}/node/${data.node}`;
+  }
+
+  /**
+   * Cluster name from /cluster/status
+   * Standalone hosts have no cluster entry and are identified by their node name.
+   * @param {Array} status - Entries of /cluster/status
+   * @returns {string|null} Cluster name, or null if the status lists neither
+   */
+  static clusterName(status) {
+    const cluster = (status || []).find((entry) => entry.type === 'cluster');
+    if (cluster) {
+      return cluster.name;
+    }
+    const node = (status || []).find((entry) => entry.type === 'node');
+    return node ? node.name : null;
+  }
+
+}
+
+module.exports = DeviceIdentity;
@@ -0,0 +1,111 @@
+'use strict';
+
+// Back-off after the first failure of an endpoint, doubled on every further failure
+const INITIAL_BACKOFF = 30 * 1000;
+const MAX_BACKOFF = 10 * 60 * 1000;
+
+/**
+ * Health tracking for the node endpoints of a connection
+ * A connection may list several nodes of a cluster. Requests stick to the endpoint that
+ * last worked and fail over to the others in the configured order, skipping endpoints
+ * that recently failed until their back-off has expired.
+ */
+class EndpointPool {
+
+  constructor() {
+    // Endpoint key -> { failures, retryAt, lastError }
+    this.health = new Map();
+    // Host list -> key of the endpoint that last answered
+    this.preferred = new Map();
+  }
+
+  /**
+   * Split a host field into endpoints
+   * Accepts a comma-separated list such as "pve1, pve2:8007, [fd00::3]".
+   * @param {string} host - One or more hosts, each optionally with a port
+   * @param {string|number} port - Default port for hosts without one
+   * @returns {Array} Endpoints with host and port
+   */
+  static parse(host, port) {
+    const defaultPort = port || 8006;
+    return String(host || '')
+      .split(',')
+      .map((entry) => entry.trim())
+      .filter((entry) => entry.length > 0)
+      .map((entry) => {
+        const bracketed = entry.match(/^\[(.+)\](?::(\d+))?$/);
+        if (bracketed) {
+          return { host: bracketed[1], port: bracketed[2] || defaultPort };
+        }
+        const withPort = entry.match(/^([^:]+):(\d+)$/);
+        if (withPort) {
+          return { host: withPort[1], port: withPort[2] };
+        }
+        return { host: entry, port: defaultPort };
+      });
+  }
+
+  static key(endpoint) {
+    return `${endpoint.host}:${endpoint.port}`;
+  }
+
+  /**
+   * Endpoints of a host list in the order they should be tried
+   * The preferred endpoint comes first, then the other healthy ones in configured order,
+   * then endpoints in back-off, soonest retry first, as a last resort.
+   * @param {string} host - Host field of the connection
+   * @param {string|number} port - Default port
+   * @returns {Array} Endpoints with host and port
+   */
+  order(host, port) {
+    const endpoints = EndpointPool.parse(host, port);
+    if (endpoints.length <= 1) {
+      return endpoints;
+    }
+
+    const now = Date.now();
+    const preferredKey = this.preferred.get(String(host));
+    const healthy = [];
+    const backingOff = [];
+    for (const endpoint of endpoints) {
+      const health = this.health.get(EndpointPool.key(endpoint));
+      if (health && health.retryAt > now) {
+        backingOff.push(endpoint);
+      } else if (EndpointPool.key(endpoint) === preferredKey) {
+        healthy.unshift(endpoint);
+      } else {
+        healthy.push(endpoint);
+      }
+    }
+
+    backingOff.sort((a, b) => this.health.get(EndpointPool.key(a)).retryAt
+      - this.health.get(EndpointPool.key(b)).retryAt);
+    return healthy.concat(backingOff);
+  }
+
+  /**
+   * Record that an endpoint answered and stick to it for this host list
+   */
+  markSuccess(host, endpoint) {
+    const key = EndpointPool.key(endpoint);
+    this.health.delete(key);
+    this.preferred.set(String(host), key);
+  }
+
+  /**
+   * Record that an endpoint could not be reached and back off from it
+   */
+  markFailure(endpoint, error) {
+    const key = EndpointPool.key(endpoint);
+    const failures = (this.health.has(key) ? this.health.get(key).failures : 0) + 1;
+    const backoff = Math.min(INITIAL_BACKOFF * (2 ** (failures - 1)), MAX_BACKOFF);
+    this.health.set(key, {
+      failures,
+      retryAt: Date.now() + backoff,
+      lastError: error.message,
+    });
+  }
+
+}
+
+module.exports = EndpointPool;
@@ -0,0 +1,8 @@
+'use strict';
+
+const ProxmoxError = require('./proxmox-error');
+
+/** 401: the token, ticket or password was rejected */
+class AuthenticationError extends ProxmoxError {}
+
+module.exports = AuthenticationError;
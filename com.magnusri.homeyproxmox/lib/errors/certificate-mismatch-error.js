@@ -0,0 +1,16 @@
+'use strict';
+
+const ProxmoxError = require('./proxmox-error');
+
+/** The certificate does not match the pinned fingerprint */
+class CertificateMismatchError extends ProxmoxError {
+
+  constructor(host, fingerprint) {
+    super(`Certificate fingerprint mismatch for ${host}: got ${fingerprint}`, { code: 'ECERTMISMATCH' });
+    this.host = host;
+    this.fingerprint = fingerprint;
+  }
+
+}
+
+module.exports = CertificateMismatchError;
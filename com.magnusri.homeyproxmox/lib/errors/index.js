@@ -0,0 +1,75 @@
+'use strict';
+
+/**
+ * Errors thrown by ProxmoxAPI, one module per class
+ * Callers can tell failures apart with instanceof instead of parsing messages.
+ */
+const ProxmoxError = require('./proxmox-error');
+const AuthenticationError = require('./authentication-error');
+const PermissionError = require('./permission-error');
+const NotFoundError = require('./not-found-error');
+const TimeoutError = require('./timeout-error');
+const NetworkError = require('./network-error');
+const ServerError = require('./server-error');
+const ParseError = require('./parse-error');
+const CertificateMismatchError = require('./certificate-mismatch-error');
+
+// Proxmox reports guests and storages missing on a node as a 500 with one of these reasons
+const NOT_FOUND_PATTERN = /does not exist|not found|no such/i;
+
+/**
+ * Create the error for an unsuccessful HTTP response
+ * @param {number} statusCode - HTTP status code
+ * @param {string} reason - HTTP status message, which Proxmox uses for the error text
+ * @param {Object} [errors] - Per-parameter errors from the response body
+ */
+function fromResponse(statusCode, reason, errors = null) {
+  const details = Object.entries(errors || {})
+    .map(([param, message]) => `${param}: ${String(message).trim()}`)
+    .join(', ');
+  const message = `API request failed: ${statusCode}${reason ? ` - ${reason}` : ''}${details ? ` (${details})` : ''}`;
+  const info = { statusCode, reason, errors };
+
+  if (statusCode === 401) {
+    return new AuthenticationError(message, info);
+  }
+  if (statusCode === 403) {
+    return new PermissionError(message, info);
+  }
+  if (statusCode === 404 || (statusCode === 500 && NOT_FOUND_PATTERN.test(`${reason} ${details}`))) {
+    return new NotFoundError(message, info);
+  }
+  if (statusCode >= 500) {
+    return new ServerError(message, info);
+  }
+  return new ProxmoxError(message, info);
+}
+
+/**
+ * Wrap an error emitted by the socket or request
+ * @param {Error} error - Node.js error with a code such as ECONNREFUSED
+ */
+function fromSocketError(error) {
+  if (error instanceof ProxmoxError) {
+    return error;
+  }
+  const message = `API request error: ${error.message}`;
+  if (error.code === 'ETIMEDOUT' || error.code === 'ECONNECTTIMEOUT') {
+    return new TimeoutError(message, { code: error.code });
+  }
+  return new NetworkError(message, { code: error.code });
+}
+
+module.exports = {
+  ProxmoxError,
+  AuthenticationError,
+  PermissionError,
+  NotFoundError,
+  TimeoutError,
+  NetworkError,
+  ServerError,
+  ParseError,
+  CertificateMismatchError,
+  fromResponse,
+  fromSocketError,
+};
@@ -0,0 +1,15 @@
+'use strict';
+
+const ProxmoxError = require('./proxmox-error');
+
+/** The node could not be reached (refused, unreachable, DNS, TLS) */
+class NetworkError extends ProxmoxError {
+
+  // A certificate that failed verification will fail again
+  get retryable() {
+    return !/CERT|SELF_SIGNED|UNABLE_TO_VERIFY/.test(this.code || '');
+  }
+
+}
+
+module.exports = NetworkError;
@@ -0,0 +1,8 @@
+'use strict';
+
+const ProxmoxError = require('./proxmox-error');
+
+/** 404, or the resource does not exist on the queried node (e.g. a migrated guest) */
+class NotFoundError extends ProxmoxError {}
+
+module.exports = NotFoundError;
@@ -0,0 +1,8 @@
+'use strict';
+
+const ProxmoxError = require('./proxmox-error');
+
+/** The response was not valid JSON */
+class ParseError extends ProxmoxError {}
+
+module.exports = ParseError;
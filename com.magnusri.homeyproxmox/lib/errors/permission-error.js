@@ -0,0 +1,8 @@
+'use strict';
+
+const ProxmoxError = require('./proxmox-error');
+
+/** 403: authenticated, but lacking a privilege */
+class PermissionError extends ProxmoxError {}
+
+module.exports = PermissionError;
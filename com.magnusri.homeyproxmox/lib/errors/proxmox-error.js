@@ -0,0 +1,33 @@
+'use strict';
+
+/**
+ * Errors thrown by ProxmoxAPI
+ * Callers can tell failures apart with instanceof instead of parsing messages. Every error
+ * carries whatever is known about the failure: HTTP status code, the reason Proxmox puts in
+ * the status line, per-parameter PVE errors and the Node.js error code for network failures.
+ */
+class ProxmoxError extends Error {
+
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} [details] - Object with statusCode, reason, errors, code
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = details.statusCode || null;
+    this.reason = details.reason || null;
+    this.errors = details.errors || null;
+    this.code = details.code || null;
+  }
+
+  /**
+   * Whether repeating the same read request may succeed
+   */
+  get retryable() {
+    return false;
+  }
+
+}
+
+module.exports = ProxmoxError;
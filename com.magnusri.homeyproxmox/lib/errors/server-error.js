@@ -0,0 +1,18 @@
+'use strict';
+
+const ProxmoxError = require('./proxmox-error');
+
+/**
+ * 5xx: the request failed on the server
+ * Proxmox uses 500 for errors about the request itself (e.g. "VM is locked"), only other
+ * 5xx codes such as 595 (node unreachable from the proxy) are worth repeating.
+ */
+class ServerError extends ProxmoxError {
+
+  get retryable() {
+    return this.statusCode !== 500;
+  }
+
+}
+
+module.exports = ServerError;
@@ -0,0 +1,14 @@
+'use strict';
+
+const ProxmoxError = require('./proxmox-error');
+
+/** The node did not answer in time */
+class TimeoutError extends ProxmoxError {
+
+  get retryable() {
+    return true;
+  }
+
+}
+
+module.exports = TimeoutError;
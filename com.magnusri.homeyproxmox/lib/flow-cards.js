@@ -0,0 +1,691 @@
+'use strict';
+
+const BulkActions = require('./bulk-actions');
+const ProxmoxAPI = require('./proxmox-api');
+
+/**
+ * Run listeners of the flow cards
+ * The node, VM, LXC and storage drivers share the device cards, so they are registered once by the app,
+ * together with the app cards acting on all guests with a tag, in a pool or on a node.
+ */
+class FlowCards {
+
+  /**
+   * @param {Object} homey - Homey instance
+   */
+  static register(homey) {
+    // Register run listeners for triggers with arguments
+    homey.flow.getDeviceTriggerCard('cpu_above_threshold')
+      .registerRunListener(async (args, state) => {
+        // Check if actual CPU usage is above the user-specified threshold
+        return state.cpu_usage > args.threshold;
+      });
+
+    homey.flow.getDeviceTriggerCard('node_temperature_above')
+      .registerRunListener(async (args, state) => {
+        return state.temperature > args.threshold;
+      });
+
+    homey.flow.getDeviceTriggerCard('memory_above_threshold')
+      .registerRunListener(async (args, state) => {
+        // Check if actual memory usage is above the user-specified threshold
+        return state.memory_usage > args.threshold;
+      });
+
+    homey.flow.getDeviceTriggerCard('load_above_threshold')
+      .registerRunListener(async (args, state) => {
+        return state.load_5 > args.threshold;
+      });
+
+    homey.flow.getDeviceTriggerCard('swap_above_threshold')
+      .registerRunListener(async (args, state) => {
+        return state.swap_usage > args.threshold;
+      });
+
+    homey.flow.getDeviceTriggerCard('io_delay_above_threshold')
+      .registerRunListener(async (args, state) => {
+        return state.io_delay > args.threshold;
+      });
+
+    homey.flow.getDeviceTriggerCard('high_network_traffic')
+      .registerRunListener(async (args, state) => {
+        // Check if total network traffic is above the user-specified threshold
+        const totalTraffic = state.network_in + state.network_out;
+        return totalTraffic > args.threshold;
+      });
+
+    homey.flow.getDeviceTriggerCard('high_disk_io')
+      .registerRunListener(async (args, state) => {
+        // Check if total disk I/O is above the user-specified threshold
+        const totalIO = state.disk_read + state.disk_write;
+        return totalIO > args.threshold;
+      });
+
+    homey.flow.getDeviceTriggerCard('disk_space_low')
+      .registerRunListener(async (args, state) => {
+        // Check if free disk space is below the user-specified threshold
+        return state.disk_free < args.threshold;
+      });
+
+    homey.flow.getDeviceTriggerCard('disk_free_below')
+      .registerRunListener(async (args, state) => {
+        return state.disk_free_gb < args.size;
+      });
+
+    homey.flow.getDeviceTriggerCard('backup_too_old')
+      .registerRunListener(async (args, state) => {
+        // Check if the last backup is older than the user-specified number of days
+        return state.backup_age > args.days;
+      });
+
+    // Register flow card conditions
+    homey.flow.getConditionCard('is_running')
+      .registerRunListener(async (args) => {
+        const onoffValue = args.device.getCapabilityValue('onoff');
+        return onoffValue === true;
+      });
+
+    homey.flow.getConditionCard('node_temperature_above')
+      .registerRunListener(async (args) => {
+        if (!args.device.hasCapability('measure_temperature')) {
+          return false;
+        }
+        const temperature = args.device.getCapabilityValue('measure_temperature');
+        if (temperature === null || temperature === undefined) {
+          return false;
+        }
+        return temperature > args.threshold;
+      });
+
+    homey.flow.getConditionCard('cpu_above')
+      .registerRunListener(async (args) => {
+        const cpuUsage = args.device.getCapabilityValue('measure_cpu');
+        if (cpuUsage === null || cpuUsage === undefined) {
+          return false;
+        }
+        return cpuUsage > args.threshold;
+      });
+
+    homey.flow.getConditionCard('memory_above')
+      .registerRunListener(async (args) => {
+        const memUsage = args.device.getCapabilityValue('measure_memory');
+        if (memUsage === null || memUsage === undefined) {
+          return false;
+        }
+        return memUsage > args.threshold;
+      });
+
+    // Absolute free space, for devices reporting sizes
+    const registerFreeCondition = (id, capability) => homey.flow.getConditionCard(id)
+      .registerRunListener(async (args) => {
+        if (!args.device.hasCapability(capability)) {
+          return false;
+        }
+        const free = args.device.getCapabilityValue(capability);
+        if (free === null || free === undefined) {
+          return false;
+        }
+        return free < args.size;
+      });
+    registerFreeCondition('disk_free_below', 'measure_disk_free');
+    registerFreeCondition('memory_free_below', 'measure_memory_free');
+
+    homey.flow.getConditionCard('uptime_greater')
+      .registerRunListener(async (args) => {
+        const uptime = args.device.getCapabilityValue('sensor_uptime');
+        if (uptime === null || uptime === undefined) {
+          return false;
+        }
+        return uptime > args.hours;
+      });
+
+    homey.flow.getConditionCard('network_above')
+      .registerRunListener(async (args) => {
+        const netIn = args.device.getCapabilityValue('measure_network_in') || 0;
+        const netOut = args.device.getCapabilityValue('measure_network_out') || 0;
+        const totalTraffic = netIn + netOut;
+        return totalTraffic > args.threshold;
+      });
+
+    // Register flow card actions
+    homey.flow.getActionCard('start_vm')
+      .registerRunListener(async (args) => {
+        const data = args.device.getData();
+        // Only allow start/stop for VMs and LXCs, not nodes or storage
+        if (data.type !== 'vm' && data.type !== 'lxc') {
+          throw new Error('This device cannot be started');
+        }
+
+        try {
+          const upid = await args.device.startGuest();
+          await args.device.followTask(upid, args.wait);
+          return true;
+        } catch (error) {
+          args.device.error('Failed to start:', error.message);
+          throw new Error(`Failed to start ${data.type}: ${error.message}`);
+        }
+      });
+
+    homey.flow.getActionCard('stop_vm')
+      .registerRunListener(async (args) => {
+        const data = args.device.getData();
+        // Only allow start/stop for VMs and LXCs, not nodes or storage
+        if (data.type !== 'vm' && data.type !== 'lxc') {
+          throw new Error('This device cannot be stopped');
+        }
+
+        try {
+          const upid = await args.device.stopGuest();
+          await args.device.followTask(upid, args.wait);
+          return true;
+        } catch (error) {
+          args.device.error('Failed to stop:', error.message);
+          throw new Error(`Failed to stop ${data.type}: ${error.message}`);
+        }
+      });
+
+    homey.flow.getActionCard('shutdown_vm')
+      .registerRunListener(async (args) => {
+        const data = args.device.getData();
+        if (data.type !== 'vm' && data.type !== 'lxc') {
+          throw new Error('This device cannot be shut down');
+        }
+
+        try {
+          const upid = await args.device.shutdownGuest(args.timeout, args.fallback === 'force');
+          await args.device.followTask(upid, args.wait);
+          return true;
+        } catch (error) {
+          args.device.error('Failed to shut down:', error.message);
+          throw new Error(`Failed to shut down ${data.type}: ${error.message}`);
+        }
+      });
+
+    homey.flow.getActionCard('reset_vm')
+      .registerRunListener(async (args) => {
+        const data = args.device.getData();
+        if (data.type !== 'vm' && data.type !== 'lxc') {
+          throw new Error('This device cannot be reset');
+        }
+
+        try {
+          const upid = await args.device.resetGuest();
+          await args.device.followTask(upid, args.wait);
+          return true;
+        } catch (error) {
+          args.device.error('Failed to reset:', error.message);
+          throw new Error(`Failed to reset ${data.type}: ${error.message}`);
+        }
+      });
+
+    homey.flow.getActionCard('suspend_vm')
+      .registerRunListener(async (args) => {
+        const data = args.device.getData();
+        if (data.type !== 'vm' && data.type !== 'lxc') {
+          throw new Error('This device cannot be suspended');
+        }
+
+        try {
+          const upid = await args.device.suspendGuest(args.mode === 'hibernate');
+          await args.device.followTask(upid, args.wait);
+          return true;
+        } catch (error) {
+          args.device.error(`Failed to ${args.mode}:`, error.message);
+          throw new Error(`Failed to ${args.mode} ${data.type}: ${error.message}`);
+        }
+      });
+
+    homey.flow.getActionCard('resume_vm')
+      .registerRunListener(async (args) => {
+        const data = args.device.getData();
+        if (data.type !== 'vm' && data.type !== 'lxc') {
+          throw new Error('This device cannot be resumed');
+        }
+
+        try {
+          const upid = await args.device.resumeGuest();
+          await args.device.followTask(upid, args.wait);
+          return true;
+        } catch (error) {
+          args.device.error('Failed to resume:', error.message);
+          throw new Error(`Failed to resume ${data.type}: ${error.message}`);
+        }
+      });
+
+    homey.flow.getActionCard('restart_vm')
+      .registerRunListener(async (args) => {
+        const data = args.device.getData();
+
+        // Only allow restart for VMs and LXCs, not nodes or storage
+        if (data.type !== 'vm' && data.type !== 'lxc') {
+          throw new Error('This device cannot be restarted');
+        }
+
+        try {
+          await args.device.checkPermission('power');
+
+          let upid;
+          if (data.type === 'lxc') {
+            upid = await args.device.callGuestAPI('Restarting', (node, credentials) => ProxmoxAPI.restartLXC(
+              credentials.id, credentials.host, credentials.port, node, data.vmid,
+              credentials.tokenID, credentials.tokenSecret,
+            ));
+            args.device.log(`LXC ${data.vmid} restart command sent successfully`);
+          } else if (data.type === 'vm') {
+            upid = await args.device.callGuestAPI('Restarting', (node, credentials) => ProxmoxAPI.restartVM(
+              credentials.id, credentials.host, credentials.port, node, data.vmid,
+              credentials.tokenID, credentials.tokenSecret,
+            ));
+            args.device.log(`VM ${data.vmid} restart command sent successfully`);
+          }
+
+          // Follow the task so the status reflects the change once it is done
+          await args.device.followTask(upid, args.wait);
+
+          return true;
+        } catch (error) {
+          args.device.error('Failed to restart:', error.message);
+          throw new Error(`Failed to restart ${data.type}: ${error.message}`);
+        }
+      });
+
+    // Node power
+    homey.flow.getActionCard('shutdown_node')
+      .registerRunListener(async (args) => {
+        if (args.device.getData().type !== 'node') {
+          throw new Error('This device is not a node');
+        }
+
+        try {
+          await args.device.setNodePower('shutdown');
+          return true;
+        } catch (error) {
+          args.device.error('Failed to shut down node:', error.message);
+          throw new Error(`Failed to shut down node: ${error.message}`);
+        }
+      });
+
+    homey.flow.getActionCard('reboot_node')
+      .registerRunListener(async (args) => {
+        if (args.device.getData().type !== 'node') {
+          throw new Error('This device is not a node');
+        }
+
+        try {
+          await args.device.setNodePower('reboot');
+          return true;
+        } catch (error) {
+          args.device.error('Failed to reboot node:', error.message);
+          throw new Error(`Failed to reboot node: ${error.message}`);
+        }
+      });
+
+    homey.flow.getActionCard('wake_node')
+      .registerRunListener(async (args) => {
+        if (args.device.getData().type !== 'node') {
+          throw new Error('This device is not a node');
+        }
+
+        try {
+          const mac = await args.device.wakeNode();
+          return { mac: mac || '' };
+        } catch (error) {
+          args.device.error('Failed to wake node:', error.message);
+          throw new Error(`Failed to wake node: ${error.message}`);
+        }
+      });
+
+    homey.flow.getActionCard('stop_all_guests')
+      .registerRunListener(async (args) => {
+        if (args.device.getData().type !== 'node') {
+          throw new Error('This device is not a node');
+        }
+
+        try {
+          const upid = await args.device.stopAllGuests(args.timeout, args.fallback === 'force');
+          await args.device.followTask(upid, args.wait === 'wait');
+          return true;
+        } catch (error) {
+          args.device.error('Failed to stop all guests:', error.message);
+          throw new Error(`Failed to stop all guests: ${error.message}`);
+        }
+      });
+
+    // Guest configuration
+    const registerResourceCard = (id, resource) => homey.flow.getActionCard(id)
+      .registerRunListener(async (args) => {
+        const data = args.device.getData();
+        if (data.type !== 'vm' && data.type !== 'lxc') {
+          throw new Error('This device cannot be reconfigured');
+        }
+
+        try {
+          await args.device.setGuestResources({ [resource]: args[resource] });
+          return true;
+        } catch (error) {
+          args.device.error(`Failed to set ${resource}:`, error.message);
+          throw new Error(`Failed to set ${resource} of ${data.type}: ${error.message}`);
+        }
+      });
+    registerResourceCard('set_guest_cores', 'cores');
+    registerResourceCard('set_guest_memory', 'memory');
+    registerResourceCard('set_guest_balloon', 'balloon');
+    registerResourceCard('set_guest_swap', 'swap');
+
+    homey.flow.getActionCard('resize_guest_disk')
+      .registerArgumentAutocompleteListener('disk', async (query, args) => {
+        const data = args.device.getData();
+        if (data.type !== 'vm' && data.type !== 'lxc') {
+          return [];
+        }
+        const disks = await args.device.getGuestDisks();
+        return disks
+          .filter((disk) => disk.id.toLowerCase().includes(query.toLowerCase()))
+          .map((disk) => ({
+            name: disk.id,
+            description: disk.size !== null
+              ? `${Math.round((disk.size / (1024 ** 3)) * 10) / 10} GB on ${disk.storage}`
+              : disk.storage,
+          }));
+      })
+      .registerRunListener(async (args) => {
+        const data = args.device.getData();
+        if (data.type !== 'vm' && data.type !== 'lxc') {
+          throw new Error('This device has no disks to resize');
+        }
+
+        try {
+          const upid = await args.device.resizeGuestDisk(args.disk.name, args.size);
+          await args.device.followTask(upid, args.wait === 'wait');
+          return true;
+        } catch (error) {
+          args.device.error('Failed to resize disk:', error.message);
+          throw new Error(`Failed to resize disk of ${data.type}: ${error.message}`);
+        }
+      });
+
+    // Guest agent
+    homey.flow.getActionCard('guest_exec')
+      .registerRunListener(async (args) => {
+        if (args.device.getData().type !== 'vm') {
+          throw new Error('Commands can only be run in VMs with the QEMU guest agent');
+        }
+
+        try {
+          const result = await args.device.execInGuest(args.command);
+          return { exit_code: result.exitCode, stdout: result.stdout, stderr: result.stderr };
+        } catch (error) {
+          args.device.error('Failed to run command:', error.message);
+          throw new Error(`Failed to run command in vm: ${error.message}`);
+        }
+      });
+
+    // Migration
+    const nodeAutocomplete = async (query, args) => {
+      const nodes = await args.device.getClusterNodes();
+      return nodes
+        .filter((node) => node.node.toLowerCase().includes(query.toLowerCase()))
+        .map((node) => ({
+          name: node.node,
+          description: node.status === 'online' ? 'Online' : 'Offline',
+        }));
+    };
+
+    homey.flow.getActionCard('migrate_vm')
+      .registerArgumentAutocompleteListener('node', nodeAutocomplete)
+      .registerRunListener(async (args) => {
+        const data = args.device.getData();
+        if (data.type !== 'vm' && data.type !== 'lxc') {
+          throw new Error('This device cannot be migrated');
+        }
+
+        const migration = args.device.migrateGuest(args.node.name, args.mode);
+        if (args.wait !== 'wait') {
+          // Migrations can take a long time, let the flow continue
+          migration.catch((error) => args.device.error('Failed to migrate:', error.message));
+          return true;
+        }
+
+        try {
+          await migration;
+          return true;
+        } catch (error) {
+          args.device.error('Failed to migrate:', error.message);
+          throw new Error(`Failed to migrate ${data.type}: ${error.message}`);
+        }
+      });
+
+    homey.flow.getConditionCard('is_on_node')
+      .registerArgumentAutocompleteListener('node', nodeAutocomplete)
+      .registerRunListener(async (args) => {
+        return args.device.getNodeName() === args.node.name;
+      });
+
+    // Snapshot management
+    const snapshotAutocomplete = async (query, args) => {
+      const data = args.device.getData();
+      if (data.type !== 'vm' && data.type !== 'lxc') {
+        return [];
+      }
+      const snapshots = await args.device.getSnapshots();
+      return snapshots
+        .filter((snapshot) => snapshot.name.toLowerCase().includes(query.toLowerCase()))
+        .map((snapshot) => ({
+          name: snapshot.name,
+          description: snapshot.description || (snapshot.snaptime
+            ? new Date(snapshot.snaptime * 1000).toLocaleString() : ''),
+        }));
+    };
+
+    homey.flow.getActionCard('create_snapshot')
+      .registerRunListener(async (args) => {
+        const data = args.device.getData();
+        if (data.type !== 'vm' && data.type !== 'lxc') {
+          throw new Error('This device does not support snapshots');
+        }
+
+        try {
+          const upid = await args.device.createSnapshot(args.name, args.description);
+          args.device.log(`Snapshot ${args.name} of ${data.type} ${data.vmid} requested`);
+          await args.device.followTask(upid, args.wait);
+          return true;
+        } catch (error) {
+          args.device.error('Failed to create snapshot:', error.message);
+          throw new Error(`Failed to create snapshot: ${error.message}`);
+        }
+      });
+
+    homey.flow.getActionCard('rollback_snapshot')
+      .registerArgumentAutocompleteListener('snapshot', snapshotAutocomplete)
+      .registerRunListener(async (args) => {
+        const data = args.device.getData();
+        if (data.type !== 'vm' && data.type !== 'lxc') {
+          throw new Error('This device does not support snapshots');
+        }
+
+        try {
+          const upid = await args.device.rollbackSnapshot(args.snapshot.name);
+          args.device.log(`Rollback of ${data.type} ${data.vmid} to ${args.snapshot.name} requested`);
+
+          // Rolling back may stop the guest, the status is refreshed once the task is done
+          await args.device.followTask(upid, args.wait);
+          return true;
+        } catch (error) {
+          args.device.error('Failed to roll back snapshot:', error.message);
+          throw new Error(`Failed to roll back to snapshot: ${error.message}`);
+        }
+      });
+
+    homey.flow.getActionCard('delete_snapshot')
+      .registerArgumentAutocompleteListener('snapshot', snapshotAutocomplete)
+      .registerRunListener(async (args) => {
+        const data = args.device.getData();
+        if (data.type !== 'vm' && data.type !== 'lxc') {
+          throw new Error('This device does not support snapshots');
+        }
+
+        try {
+          const upid = await args.device.deleteSnapshot(args.snapshot.name);
+          args.device.log(`Deletion of snapshot ${args.snapshot.name} of ${data.type} ${data.vmid} requested`);
+          await args.device.followTask(upid, args.wait);
+          return true;
+        } catch (error) {
+          args.device.error('Failed to delete snapshot:', error.message);
+          throw new Error(`Failed to delete snapshot: ${error.message}`);
+        }
+      });
+
+    homey.flow.getActionCard('list_snapshots')
+      .registerRunListener(async (args) => {
+        const data = args.device.getData();
+        if (data.type !== 'vm' && data.type !== 'lxc') {
+          throw new Error('This device does not support snapshots');
+        }
+
+        const snapshots = await args.device.getSnapshots();
+        return {
+          snapshots: snapshots.map((snapshot) => snapshot.name).join(', '),
+          count: snapshots.length,
+          latest: snapshots.length > 0 ? snapshots[0].name : '',
+        };
+      });
+
+    // Backups
+    homey.flow.getActionCard('start_backup')
+      .registerArgumentAutocompleteListener('storage', async (query, args) => {
+        const data = args.device.getData();
+        if (data.type !== 'vm' && data.type !== 'lxc') {
+          return [];
+        }
+        const storages = await args.device.getBackupStorages();
+        return storages
+          .filter((storage) => storage.storage.toLowerCase().includes(query.toLowerCase()))
+          .map((storage) => ({
+            name: storage.storage,
+            description: storage.type,
+          }));
+      })
+      .registerRunListener(async (args) => {
+        const data = args.device.getData();
+        if (data.type !== 'vm' && data.type !== 'lxc') {
+          throw new Error('This device cannot be backed up');
+        }
+
+        try {
+          const upid = await args.device.startBackup({
+            storage: args.storage.name,
+            mode: args.mode,
+            compress: args.compress,
+          });
+          args.device.log(`Backup of ${data.type} ${data.vmid} started: ${upid}`);
+          return true;
+        } catch (error) {
+          args.device.error('Failed to start backup:', error.message);
+          throw new Error(`Failed to start backup: ${error.message}`);
+        }
+      });
+
+    homey.flow.getConditionCard('snapshot_count_above')
+      .registerRunListener(async (args) => {
+        const data = args.device.getData();
+        if (data.type !== 'vm' && data.type !== 'lxc') {
+          return false;
+        }
+        const snapshots = await args.device.getSnapshots();
+        return snapshots.length > args.count;
+      });
+
+    FlowCards.registerBulkCards(homey);
+  }
+
+  /**
+   * Cards acting on all guests of a connection with a tag, in a resource pool or on a node
+   * @param {Object} homey - Homey instance
+   */
+  static registerBulkCards(homey) {
+    const connectionAutocomplete = async (query) => homey.app.getConnections()
+      .filter((connection) => connection.name.toLowerCase().includes(query.toLowerCase()))
+      .map((connection) => ({ id: connection.id, name: connection.name, description: connection.host }));
+
+    // Tags, pools or nodes of the selected connection. Tags can also be typed, so guests can be
+    // tagged after the Flow is made.
+    const targetAutocomplete = async (query, args) => {
+      const connection = args.connection && homey.app.getConnection(args.connection.id);
+      if (!connection) {
+        return [];
+      }
+
+      let names;
+      if (args.match === 'pool') {
+        const pools = await ProxmoxAPI.getPools(connection.id, connection.host, connection.port, connection.tokenID, connection.tokenSecret);
+        names = pools.map((pool) => pool.poolid);
+      } else if (args.match === 'node') {
+        const nodes = await ProxmoxAPI.getNodes(connection.id, connection.host, connection.port, connection.tokenID, connection.tokenSecret);
+        names = nodes.map((node) => node.node);
+      } else {
+        const guests = await ProxmoxAPI.getGuests(connection.id, connection.host, connection.port, connection.tokenID, connection.tokenSecret);
+        names = [];
+        for (const guest of guests) {
+          names.push(...guest.tags.filter((tag) => !names.includes(tag)));
+        }
+        if (query && !names.includes(query)) {
+          names.push(query);
+        }
+      }
+      return names
+        .filter((name) => name.toLowerCase().includes(query.toLowerCase()))
+        .sort()
+        .map((name) => ({ name }));
+    };
+
+    const getBulkActions = (args) => {
+      const connection = homey.app.getConnection(args.connection.id);
+      if (!connection) {
+        throw new Error(homey.__('errors.connection_missing'));
+      }
+      return new BulkActions(homey, connection);
+    };
+
+    const finish = (result) => {
+      if (result.failures.length > 0) {
+        throw new Error(homey.__('errors.bulk_action_failed', {
+          count: result.failures.length,
+          failures: result.failures.join('; '),
+        }));
+      }
+      return { count: result.guests.length, guests: result.guests.join(', ') };
+    };
+
+    homey.flow.getActionCard('bulk_power')
+      .registerArgumentAutocompleteListener('connection', connectionAutocomplete)
+      .registerArgumentAutocompleteListener('target', targetAutocomplete)
+      .registerRunListener(async (args) => {
+        const result = await getBulkActions(args).power(args.action, args.match, args.target.name, {
+          timeout: args.timeout,
+          forceStop: args.action === 'shutdown' ? args.fallback === 'force' : undefined,
+        });
+        homey.app.log(`Bulk ${args.action} of guests with ${args.match} ${args.target.name}: ${result.guests.length} done, ${result.failures.length} failed`);
+        return finish(result);
+      });
+
+    homey.flow.getActionCard('bulk_snapshot')
+      .registerArgumentAutocompleteListener('connection', connectionAutocomplete)
+      .registerArgumentAutocompleteListener('target', targetAutocomplete)
+      .registerRunListener(async (args) => {
+        const result = await getBulkActions(args).snapshot(args.match, args.target.name, args.name, args.description);
+        homey.app.log(`Bulk snapshot of guests with ${args.match} ${args.target.name}: ${result.guests.length} done, ${result.failures.length} failed`);
+        return finish(result);
+      });
+
+    homey.flow.getConditionCard('guests_running')
+      .registerArgumentAutocompleteListener('connection', connectionAutocomplete)
+      .registerArgumentAutocompleteListener('target', targetAutocomplete)
+      .registerRunListener(async (args) => {
+        const guests = await getBulkActions(args).findGuests(args.match, args.target.name);
+        return guests.some((guest) => guest.status === 'running');
+      });
+  }
+
+}
+
+module.exports = FlowCards;
@@ -0,0 +1,151 @@
+'use strict';
+
+/**
+ * Interpretation of QEMU guest agent replies
+ * Proxmox passes the agent's JSON through in the result property of /agent/{command}.
+ */
+class GuestAgent {
+
+  /**
+   * Address a VM is reachable at, from network-get-interfaces
+   * Prefers IPv4 over IPv6 and skips loopback and link-local addresses.
+   * @param {Array} interfaces - Result of network-get-interfaces
+   * @returns {string|null} IP address, or null if the VM has none
+   */
+  static primaryAddress(interfaces) {
+    const addresses = [];
+    for (const networkInterface of interfaces || []) {
+      if (networkInterface.name === 'lo') {
+        continue;
+      }
+      for (const address of networkInterface['ip-addresses'] || []) {
+        const ip = address['ip-address'];
+        if (!ip || /^(127\.|169\.254\.|::1$|fe80:)/i.test(ip)) {
+          continue;
+        }
+        addresses.push({ ip, ipv4: address['ip-address-type'] === 'ipv4' });
+      }
+    }
+    const address = addresses.find((candidate) => candidate.ipv4) || addresses[0];
+    return address ? address.ip : null;
+  }
+
+  /**
+   * Convert the interfaces Proxmox reports for a container to the format of network-get-interfaces
+   * Containers have no guest agent, Proxmox reads their addresses itself. Releases that already
+   * list ip-addresses are passed through, older ones only report an inet and inet6 per interface.
+   * @param {Array} interfaces - Result of /lxc/{vmid}/interfaces
+   * @returns {Array} Interfaces as returned by network-get-interfaces
+   */
+  static fromLXCInterfaces(interfaces) {
+    return (interfaces || []).map((networkInterface) => {
+      if (networkInterface['ip-addresses']) {
+        return networkInterface;
+      }
+      const addresses = [['ipv4', networkInterface.inet], ['ipv6', networkInterface.inet6]]
+        .filter(([, address]) => address)
+        .map(([type, address]) => {
+          const [ip, prefix] = address.split('/');
+          return { 'ip-address': ip, 'ip-address-type': type, prefix: prefix !== undefined ? Number(prefix) : undefined };
+        });
+      return { name: networkInterface.name, 'hardware-address': networkInterface.hwaddr, 'ip-addresses': addresses };
+    });
+  }
+
+  /**
+   * One line per interface with its addresses, e.g. "eth0: 192.168.1.20/24, fd00::20/64"
+   * @param {Array} interfaces - Interfaces in the format of network-get-interfaces
+   * @returns {string} Interfaces without loopback, separated by newlines
+   */
+  static describeInterfaces(interfaces) {
+    return (interfaces || [])
+      .filter((networkInterface) => networkInterface.name !== 'lo')
+      .map((networkInterface) => {
+        const addresses = (networkInterface['ip-addresses'] || [])
+          .map((address) => (address.prefix !== undefined ? `${address['ip-address']}/${address.prefix}` : address['ip-address']));
+        return `${networkInterface.name}: ${addresses.length > 0 ? addresses.join(', ') : 'no address'}`;
+      })
+      .join('\n');
+  }
+
+  /**
+   * Mounted filesystems with their usage, from get-fsinfo
+   * Filesystems mounted more than once are listed once, those without a size are left out.
+   * Mountpoints sharing a key, such as / and /root, are numbered in the order of their mountpoints,
+   * so the same mountpoint keeps its key from one query to the next.
+   * @param {Array} filesystems - Result of get-fsinfo
+   * @returns {Array} Filesystems as { key, mountpoint, type, used, total, percent }, key usable as capability suffix
+   */
+  static filesystems(filesystems) {
+    const byMountpoint = new Map();
+    for (const filesystem of filesystems || []) {
+      const total = filesystem['total-bytes'];
+      const used = filesystem['used-bytes'];
+      if (!total || used === undefined || byMountpoint.has(filesystem.mountpoint)) {
+        continue;
+      }
+      byMountpoint.set(filesystem.mountpoint, {
+        mountpoint: filesystem.mountpoint,
+        type: filesystem.type,
+        used,
+        total,
+        percent: Math.round((used / total) * 1000) / 10,
+      });
+    }
+
+    const keys = new Set();
+    return [...byMountpoint.values()]
+      .sort((a, b) => (String(a.mountpoint) < String(b.mountpoint) ? -1 : 1))
+      .map((filesystem) => {
+        const base = GuestAgent.mountpointKey(filesystem.mountpoint);
+        let key = base;
+        for (let number = 2; keys.has(key); number++) {
+          key = `${base}_${number}`;
+        }
+        keys.add(key);
+        filesystem.key = key;
+        return filesystem;
+      });
+  }
+
+  /**
+   * Capability suffix for a mountpoint, e.g. "root" for "/", "var_lib" for "/var/lib" and "c" for "C:\"
+   * Different mountpoints can share a suffix, see filesystems.
+   */
+  static mountpointKey(mountpoint) {
+    const key = String(mountpoint || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    return key || 'root';
+  }
+
+  /**
+   * Name of the operating system, from get-osinfo
+   * @param {Object} info - Result of get-osinfo
+   * @returns {string|null} e.g. "Debian GNU/Linux 12 (bookworm)" or "Microsoft Windows 11 Pro"
+   */
+  static osName(info) {
+    if (!info) {
+      return null;
+    }
+    return info['pretty-name'] || [info.name, info.version].filter(Boolean).join(' ') || null;
+  }
+
+  /**
+   * Split a command line into program and arguments for guest-exec
+   * Single and double quotes group words, no other shell syntax is interpreted.
+   * @param {string} command - e.g. systemctl restart "my service"
+   * @returns {Array<string>} Program followed by its arguments
+   */
+  static parseCommand(command) {
+    const parts = [];
+    const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+    let match = pattern.exec(command || '');
+    while (match) {
+      parts.push(match.slice(1).find((group) => group !== undefined));
+      match = pattern.exec(command);
+    }
+    return parts;
+  }
+
+}
+
+module.exports = GuestAgent;
@@ -0,0 +1,143 @@
+'use strict';
+
+// Watchers poll along with the devices of a connection, at least this often (seconds)
+const WATCH_INTERVAL = 60;
+
+// Setting holding the guests seen per connection, so guests created while Homey was off are noticed
+const SETTINGS_KEY = 'proxmox_known_guests';
+
+// Cluster resource type to the device type used everywhere else
+const GUEST_TYPES = { qemu: 'vm', lxc: 'lxc' };
+
+/**
+ * Watches a connection for guests being created or destroyed
+ * Registers with the connection's ClusterPoller like a device, so it shares the
+ * /cluster/resources request, and diffs every result against the guests seen before.
+ */
+class GuestWatcher {
+
+  /**
+   * @param {Object} homey - Homey instance (used for settings and logging)
+   * @param {string} connectionId - ID of the connection in the app settings
+   * @param {Object} callbacks - Object with onCreated(guest) and onDestroyed(guest)
+   */
+  constructor(homey, connectionId, callbacks) {
+    this.homey = homey;
+    this.connectionId = connectionId;
+    this.callbacks = callbacks;
+    this.poller = null;
+    // The poller passes this unbound, like a device's error method
+    this.error = (...args) => homey.app.error(...args);
+
+    const stored = (homey.settings.get(SETTINGS_KEY) || {})[connectionId];
+    // Guest key -> { vmid, name, node, type }, null until the first poll on a new connection
+    this.guests = stored ? new Map(Object.entries(stored.guests)) : null;
+    // Keys of guests that disappeared and did not come back
+    this.destroyed = new Set(stored ? stored.destroyed : []);
+  }
+
+  static key(type, vmid) {
+    return `${type}/${vmid}`;
+  }
+
+  start() {
+    this.poller = this.homey.app.getPoller(this.connectionId);
+    this.poller.register(this);
+  }
+
+  stop() {
+    if (this.poller) {
+      this.poller.unregister(this);
+      this.homey.app.releasePoller(this.poller);
+      this.poller = null;
+    }
+  }
+
+  /**
+   * Forget the guests of a deleted connection
+   */
+  clear() {
+    const stored = this.homey.settings.get(SETTINGS_KEY) || {};
+    delete stored[this.connectionId];
+    this.homey.settings.set(SETTINGS_KEY, stored);
+  }
+
+  /**
+   * Whether a guest was seen being destroyed
+   * @param {string} type - 'vm' or 'lxc'
+   * @param {number} vmid - Guest ID
+   */
+  isDestroyed(type, vmid) {
+    return this.destroyed.has(GuestWatcher.key(type, vmid));
+  }
+
+  getPollingInterval() {
+    return WATCH_INTERVAL;
+  }
+
+  async onPollError() {
+    // An unreachable cluster says nothing about its guests
+  }
+
+  /**
+   * Compare the guests in the cluster resources with the ones seen before
+   * The first poll of a connection only records the guests.
+   */
+  async onPollResult(resources) {
+    const current = new Map();
+    for (const resource of resources) {
+      const type = GUEST_TYPES[resource.type];
+      if (type) {
+        current.set(GuestWatcher.key(type, resource.vmid), {
+          vmid: resource.vmid,
+          name: resource.name || '',
+          node: resource.node,
+          type,
+        });
+      }
+    }
+
+    const initial = this.guests === null;
+    const previous = this.guests || new Map();
+    let changed = initial;
+
+    for (const [key, guest] of current) {
+      if (!previous.has(key)) {
+        changed = true;
+        this.destroyed.delete(key);
+        if (!initial) {
+          this.homey.app.log(`Guest ${guest.type} ${guest.vmid} (${guest.name}) created on ${guest.node}`);
+          this.callbacks.onCreated(guest);
+        }
+      } else if (previous.get(key).name !== guest.name || previous.get(key).node !== guest.node) {
+        changed = true;
+      }
+    }
+    for (const [key, guest] of previous) {
+      if (!current.has(key)) {
+        changed = true;
+        this.destroyed.add(key);
+        this.homey.app.log(`Guest ${guest.type} ${guest.vmid} (${guest.name}) destroyed`);
+        this.callbacks.onDestroyed(guest);
+      }
+    }
+
+    this.guests = current;
+    if (changed) {
+      this.save();
+    }
+  }
+
+  save() {
+    const guests = {};
+    for (const [key, guest] of this.guests) {
+      guests[key] = guest;
+    }
+    const stored = this.homey.settings.get(SETTINGS_KEY) || {};
+    stored[this.connectionId] = { guests, destroyed: Array.from(this.destroyed) };
+    this.homey.settings.set(SETTINGS_KEY, stored);
+  }
+
+}
+
+module.exports = GuestWatcher;
@@ -0,0 +1,148 @@
+'use strict';
+
+const http = require('http');
+const https = require('https');
+
+// Give up on a sensor source after this long (ms)
+const REQUEST_TIMEOUT = 10000;
+
+// Prometheus metrics of node_exporter holding temperatures and fan speeds
+const EXPORTER_METRICS = {
+  node_hwmon_temp_celsius: 'temperature',
+  node_thermal_zone_temp: 'temperature',
+  node_hwmon_fan_rpm: 'fan',
+};
+
+/**
+ * Temperatures and fan speeds of a node
+ * Proxmox does not report hardware sensors, so they are read from a source running on the node:
+ * the /metrics of a Prometheus node_exporter, or an HTTP endpoint serving the output of `sensors -j`.
+ */
+class HardwareSensors {
+
+  /**
+   * Read the sensors of a node
+   * @param {string} source - 'node_exporter' or 'lm_sensors'
+   * @param {string} url - URL of the source
+   * @param {string} [filter] - Only use temperatures whose name contains this text, e.g. "Package id 0"
+   * @returns {Promise<Object>} Highest matching temperature (°C) and fan speed (RPM), null if not
+   *   reported, and all sensors as { name, type, value }
+   */
+  static async read(source, url, filter) {
+    const body = await HardwareSensors.fetch(url);
+    const sensors = source === 'node_exporter'
+      ? HardwareSensors.parseNodeExporter(body)
+      : HardwareSensors.parseLmSensors(body);
+
+    const match = (filter || '').toLowerCase();
+    const temperatures = sensors
+      .filter((sensor) => sensor.type === 'temperature' && sensor.name.toLowerCase().includes(match))
+      .map((sensor) => sensor.value);
+    const fans = sensors
+      .filter((sensor) => sensor.type === 'fan')
+      .map((sensor) => sensor.value);
+
+    return {
+      temperature: temperatures.length > 0 ? Math.max(...temperatures) : null,
+      fanSpeed: fans.length > 0 ? Math.max(...fans) : null,
+      sensors,
+    };
+  }
+
+  /**
+   * Fetch the body of a sensor source
+   * @param {string} url - HTTP or HTTPS URL
+   * @returns {Promise<string>} Response body
+   */
+  static fetch(url) {
+    return new Promise((resolve, reject) => {
+      const client = url.startsWith('https:') ? https : http;
+      const req = client.get(url, { timeout: REQUEST_TIMEOUT }, (res) => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          body += chunk;
+        });
+        res.on('end', () => {
+          if (res.statusCode !== 200) {
+            reject(new Error(`Sensor source returned ${res.statusCode} ${res.statusMessage}`));
+            return;
+          }
+          resolve(body);
+        });
+      });
+      req.on('timeout', () => req.destroy(new Error('Sensor source did not respond in time')));
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Parse the Prometheus text format of node_exporter
+   * Uses node_hwmon_sensor_label, when present, to name hwmon sensors like lm-sensors does.
+   * @param {string} text - Body of /metrics
+   * @returns {Array<Object>} Sensors as { name, type, value }
+   */
+  static parseNodeExporter(text) {
+    const samples = [];
+    const labels = new Map();
+    for (const line of text.split('\n')) {
+      const sample = line.match(/^(\w+)\{([^}]*)\}\s+(\S+)/);
+      if (!sample) {
+        continue;
+      }
+      const attributes = {};
+      for (const [, key, value] of sample[2].matchAll(/(\w+)="([^"]*)"/g)) {
+        attributes[key] = value;
+      }
+      if (sample[1] === 'node_hwmon_sensor_label') {
+        labels.set(`${attributes.chip}/${attributes.sensor}`, attributes.label);
+      } else if (EXPORTER_METRICS[sample[1]]) {
+        samples.push({ metric: sample[1], attributes, value: parseFloat(sample[3]) });
+      }
+    }
+
+    return samples
+      .filter((sample) => Number.isFinite(sample.value))
+      .map(({ metric, attributes, value }) => ({
+        name: metric === 'node_thermal_zone_temp'
+          ? `${attributes.type || 'thermal_zone'} ${attributes.zone}`
+          : `${attributes.chip} ${labels.get(`${attributes.chip}/${attributes.sensor}`) || attributes.sensor}`,
+        type: EXPORTER_METRICS[metric],
+        value,
+      }));
+  }
+
+  /**
+   * Parse the JSON output of `sensors -j`
+   * Chips map features (e.g. "Package id 0", "fan1") to subfeatures such as temp1_input or fan1_input.
+   * @param {string} text - JSON of sensors -j
+   * @returns {Array<Object>} Sensors as { name, type, value }
+   */
+  static parseLmSensors(text) {
+    let chips;
+    try {
+      chips = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Sensor source did not return sensors JSON: ${error.message}`);
+    }
+
+    const sensors = [];
+    for (const [chip, features] of Object.entries(chips || {})) {
+      for (const [feature, values] of Object.entries(features || {})) {
+        if (!values || typeof values !== 'object') {
+          continue;
+        }
+        for (const [key, value] of Object.entries(values)) {
+          const subfeature = key.match(/^(temp|fan)\d+_input$/);
+          if (subfeature && Number.isFinite(value)) {
+            sensors.push({ name: `${chip} ${feature}`, type: subfeature[1] === 'temp' ? 'temperature' : 'fan', value });
+          }
+        }
+      }
+    }
+    return sensors;
+  }
+
+}
+
+module.exports = HardwareSensors;
@@ -0,0 +1,156 @@
+'use strict';
+
+/**
+ * Features of the app and the Proxmox privileges they need, per kind of ACL path
+ * guest: /vms/{vmid} (or the guest's pool), node: /nodes/{node}, storage: /storage/{storage}.
+ * For storage privileges of guest features, any storage granting them is enough. Nodes acting
+ * on all of their guests, such as stopping them all, need the guest privileges on /.
+ * A list within the privileges means any one of them, for privileges renamed between releases.
+ */
+const FEATURES = {
+  monitoring: { title: 'Monitoring', privileges: { guest: ['VM.Audit'], node: ['Sys.Audit'] } },
+  power: { title: 'Power control', privileges: { guest: ['VM.PowerMgmt'] } },
+  snapshots: { title: 'Snapshots', privileges: { guest: ['VM.Snapshot'] } },
+  backups: { title: 'Backups', privileges: { guest: ['VM.Backup'], storage: ['Datastore.AllocateSpace'] } },
+  storage: { title: 'Storage', privileges: { storage: ['Datastore.Audit'] } },
+  migration: { title: 'Migration', privileges: { guest: ['VM.Migrate'] } },
+  cpuConfig: { title: 'CPU configuration', privileges: { guest: ['VM.Config.CPU'] } },
+  memoryConfig: { title: 'Memory configuration', privileges: { guest: ['VM.Config.Memory'] } },
+  guestAgent: { title: 'Guest agent commands', privileges: { guest: [['VM.Monitor', 'VM.GuestAgent.Unrestricted']] } },
+  diskResize: { title: 'Disk resize', privileges: { guest: ['VM.Config.Disk'], storage: ['Datastore.AllocateSpace'] } },
+  nodePower: { title: 'Node power control', privileges: { node: ['Sys.PowerMgmt'] } },
+};
+
+// Root of the ACL paths per kind, used for the cluster-wide report
+const ROOT_PATHS = { guest: '/vms', node: '/nodes', storage: '/storage' };
+
+/**
+ * Effective privileges of a token or user, as returned by /access/permissions
+ */
+class Permissions {
+
+  /**
+   * @param {Object} privileges - Map of ACL path to { privilege: propagate (0 or 1) }
+   */
+  constructor(privileges) {
+    this.privileges = privileges || {};
+  }
+
+  /**
+   * Whether a privilege applies to a path
+   * Paths with an ACL of their own list their full effective privileges. Other paths inherit
+   * the propagating privileges of their closest listed parent.
+   */
+  has(path, privilege) {
+    if (Array.isArray(privilege)) {
+      return privilege.some((alternative) => this.has(path, alternative));
+    }
+    if (this.privileges[path]) {
+      return privilege in this.privileges[path];
+    }
+
+    let parent = path;
+    while (parent !== '/') {
+      parent = parent.slice(0, parent.lastIndexOf('/')) || '/';
+      if (this.privileges[parent]) {
+        return this.privileges[parent][privilege] === 1;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Whether a privilege applies to a path or to anything below it
+   */
+  hasAnywhere(root, privilege) {
+    if (Array.isArray(privilege)) {
+      return privilege.some((alternative) => this.hasAnywhere(root, alternative));
+    }
+    return this.has(root, privilege) || Object.keys(this.privileges)
+      .some((path) => path.startsWith(`${root}/`) && privilege in this.privileges[path]);
+  }
+
+  /**
+   * Name of a privilege, or of its alternatives
+   */
+  static privilegeName(privilege) {
+    return Array.isArray(privilege) ? privilege.join(' or ') : privilege;
+  }
+
+  /**
+   * Privileges a device is missing for a feature
+   * @param {string} feature - Key of FEATURES
+   * @param {Object} target - Device with type ('node', 'lxc', 'vm' or 'storage') and vmid, pool, node or storage
+   * @returns {Array} Missing privilege names, empty when the feature can be used
+   */
+  missing(feature, target) {
+    const definition = FEATURES[feature];
+    const kind = target.type === 'lxc' || target.type === 'vm' ? 'guest' : target.type;
+    const missing = [];
+
+    for (const privilege of definition.privileges.guest || []) {
+      if (kind === 'guest' && !this.has(`/vms/${target.vmid}`, privilege)
+        && !(target.pool && this.has(`/pool/${target.pool}`, privilege))) {
+        missing.push(Permissions.privilegeName(privilege));
+      } else if (kind === 'node' && !this.has('/', privilege)) {
+        missing.push(Permissions.privilegeName(privilege));
+      }
+    }
+    for (const privilege of definition.privileges.node || []) {
+      if (kind === 'node' && !this.has(`/nodes/${target.node}`, privilege)) {
+        missing.push(Permissions.privilegeName(privilege));
+      }
+    }
+    for (const privilege of definition.privileges.storage || []) {
+      const granted = kind === 'storage'
+        ? this.has(`/storage/${target.storage}`, privilege)
+        : this.hasAnywhere('/storage', privilege);
+      if (!granted) {
+        missing.push(Permissions.privilegeName(privilege));
+      }
+    }
+    return missing;
+  }
+
+  /**
+   * Cluster-wide overview of the features
+   * A feature is 'full' when its privileges are granted on all nodes, guests and storages,
+   * 'partial' when only on some of them and 'none' otherwise.
+   * @returns {Array} Objects with id, title, status and the missing privileges
+   */
+  report() {
+    return Object.entries(FEATURES).map(([id, definition]) => {
+      let full = true;
+      let any = true;
+      const missing = [];
+      for (const [kind, privileges] of Object.entries(definition.privileges)) {
+        for (const privilege of privileges) {
+          const root = ROOT_PATHS[kind];
+          const everywhere = this.has(root, privilege);
+          const somewhere = this.hasAnywhere(root, privilege)
+            || (kind === 'guest' && this.hasAnywhere('/pool', privilege));
+          full = full && everywhere;
+          any = any && somewhere;
+          if (!everywhere) {
+            missing.push(Permissions.privilegeName(privilege));
+          }
+        }
+      }
+
+      let status = 'none';
+      if (full) {
+        status = 'full';
+      } else if (any) {
+        status = 'partial';
+      }
+      return {
+        id, title: definition.title, status, missing,
+      };
+    });
+  }
+
+}
+
+Permissions.FEATURES = FEATURES;
+
+module.exports = Permissions;
@@ -1,6 +1,52 @@
 'use strict';
 
 const https = require('https');
+const net = require('net');
+const querystring = require('querystring');
+const tls = require('tls');
+const { setTimeout: startTimer, clearTimeout: clearTimer } = require('timers');
+const { setTimeout: sleep } = require('timers/promises');
+const EndpointPool = require('./endpoint-pool');
+const {
+  AuthenticationError,
+  CertificateMismatchError,
+  NetworkError,
+  ParseError,
+  TimeoutError,
+  fromResponse,
+  fromSocketError,
+} = require('./errors');
+
+// Give up on an endpoint that does not accept the connection within this time
+const CONNECT_TIMEOUT = 10 * 1000;
+
+// Errors raised before the request reached the endpoint, safe to retry elsewhere for any method
+const CONNECT_ERRORS = ['ECONNREFUSED', 'EHOSTUNREACH', 'ENETUNREACH', 'ENOTFOUND', 'EAI_AGAIN', 'ECONNECTTIMEOUT'];
+
+// Errors after the request may have been sent, only retried elsewhere for reads
+const CONNECTION_LOST_ERRORS = ['ECONNRESET', 'ETIMEDOUT', 'EPIPE'];
+
+// Request timeout and retries of reads, see configureRequests
+const requestOptions = {
+  timeout: 30 * 1000,
+  retries: 2,
+  retryDelay: 1000,
+};
+
+// Shared by all connections, so a node that is down is skipped everywhere
+const endpointPool = new EndpointPool();
+
+// Certificate verification by connection ID, see configureTLS
+const tlsSettings = new Map();
+const DEFAULT_TLS = { mode: 'insecure', ca: null, fingerprints: [] };
+
+// Tickets are valid for two hours, renew them well before that
+const TICKET_LIFETIME = 2 * 60 * 60 * 1000;
+const TICKET_RENEW_AFTER = 90 * 60 * 1000;
+
+// Username/password sessions by connection ID, see configureAuth
+const authSettings = new Map();
+let ticketListener = null;
 
 /**
  * Shared Proxmox API utility
@@ -9,8 +55,364 @@ class ProxmoxAPI {
 
   /**
    * Make an API request to Proxmox
+   * Uses the API token, or a ticket when the connection is configured for username/password
+   * authentication (tokenID and tokenSecret are ignored then).
+   * @param {string} connectionId - ID of the stored connection, selects its certificate
+   *   verification and session
+   */
+  static async request(connectionId, host, port, endpoint, tokenID, tokenSecret, method = 'GET', body = null) {
+    const tlsConfig = tlsSettings.get(connectionId) || DEFAULT_TLS;
+    const auth = authSettings.get(connectionId);
+    return ProxmoxAPI.requestWith(tlsConfig, auth, host, port, endpoint, tokenID, tokenSecret, method, body);
+  }
+
+  /**
+   * Make an API request with the given certificate verification and session
+   * @param {Object} tlsConfig - Certificate verification, see tlsConfig
+   * @param {Object|null} auth - Session of a username/password connection, see createSession
+   */
+  static async requestWith(tlsConfig, auth, host, port, endpoint, tokenID, tokenSecret, method = 'GET', body = null) {
+    if (!auth || auth.method !== 'password') {
+      return ProxmoxAPI.send(host, port, endpoint, { Authorization: `PVEAPIToken=${tokenID}=${tokenSecret}` }, method, body, tlsConfig);
+    }
+
+    await ProxmoxAPI.ensureTicket(host, port, auth, tlsConfig);
+    try {
+      return await ProxmoxAPI.send(host, port, endpoint, ProxmoxAPI.ticketHeaders(auth, method), method, body, tlsConfig);
+    } catch (error) {
+      if (!(error instanceof AuthenticationError)) {
+        throw error;
+      }
+      // The ticket was rejected before it expired, log in again once
+      auth.ticket = null;
+      await ProxmoxAPI.ensureTicket(host, port, auth, tlsConfig);
+      return ProxmoxAPI.send(host, port, endpoint, ProxmoxAPI.ticketHeaders(auth, method), method, body, tlsConfig);
+    }
+  }
+
+  /**
+   * Send a request, repeating reads that failed for a transient reason
+   * Only GET requests are repeated, as they are idempotent. The delay doubles on every attempt.
+   */
+  static async send(host, port, endpoint, headers, method = 'GET', body = null, tlsConfig = DEFAULT_TLS) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await ProxmoxAPI.sendToEndpoints(host, port, endpoint, headers, method, body, tlsConfig);
+      } catch (error) {
+        if (method !== 'GET' || !error.retryable || attempt >= requestOptions.retries) {
+          throw error;
+        }
+        await sleep(requestOptions.retryDelay * (2 ** attempt));
+      }
+    }
+  }
+
+  /**
+   * Configure the request timeout and how often reads are retried
+   * @param {Object} settings - Object with timeout and retryDelay (ms) and retries
+   */
+  static configureRequests(settings) {
+    for (const key of Object.keys(requestOptions)) {
+      const value = Number(settings && settings[key]);
+      if (Number.isFinite(value) && value >= 0) {
+        requestOptions[key] = value;
+      }
+    }
+  }
+
+  /**
+   * Send a request to the nodes of a host field
+   * The host may be a comma-separated list of cluster nodes. Requests go to the node that
+   * last answered and fail over to the others when it cannot be reached.
+   */
+  static async sendToEndpoints(host, port, endpoint, headers, method = 'GET', body = null, tlsConfig = DEFAULT_TLS) {
+    const targets = endpointPool.order(host, port);
+    if (targets.length === 0) {
+      throw new NetworkError('API request error: no host configured');
+    }
+
+    let lastError;
+    for (const target of targets) {
+      try {
+        const result = await ProxmoxAPI.requestEndpoint(target.host, target.port, endpoint, headers, method, body, tlsConfig);
+        endpointPool.markSuccess(host, target);
+        return result;
+      } catch (error) {
+        if (!ProxmoxAPI.isEndpointError(error, method)) {
+          // The node answered, so the error is about the request itself
+          endpointPool.markSuccess(host, target);
+          throw error;
+        }
+        endpointPool.markFailure(target, error);
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Configure how requests for a connection authenticate
+   * An existing session (and its ticket) is kept while the account does not change and no newer
+   * ticket is given.
+   * @param {string} connectionId - ID of the stored connection
+   * @param {Object} settings - Object with authMethod ('token' or 'password'), username, password
+   *   and, right after the user entered it, a one-time otp code
+   * @param {Object} [storedTicket] - Ticket saved by the ticket listener, to resume after a restart
+   */
+  static configureAuth(connectionId, settings, storedTicket = null) {
+    const method = settings.authMethod || 'token';
+    const existing = authSettings.get(connectionId);
+    const newerTicket = storedTicket && storedTicket.issuedAt > (existing ? existing.issuedAt : 0);
+    if (existing && existing.method === method && existing.username === settings.username
+      && existing.password === settings.password && !settings.otp && !newerTicket) {
+      return;
+    }
+
+    const auth = ProxmoxAPI.createSession(settings, storedTicket);
+    auth.connectionId = connectionId;
+    authSettings.set(connectionId, auth);
+  }
+
+  /**
+   * Create a session for username/password authentication
+   * @param {Object} settings - Object with authMethod, username, password and optionally otp
+   * @param {Object} [storedTicket] - Ticket to resume, used when it belongs to the same user
+   * @returns {Object} Session to pass to requestWith, connectionId is only set for stored connections
+   */
+  static createSession(settings, storedTicket = null) {
+    const auth = {
+      connectionId: null,
+      method: settings.authMethod || 'token',
+      username: settings.username || '',
+      password: settings.password || '',
+      otp: settings.otp || null,
+      ticket: null,
+      csrfToken: null,
+      issuedAt: 0,
+      pendingLogin: null,
+    };
+    if (storedTicket && storedTicket.username === auth.username && !auth.otp) {
+      auth.ticket = storedTicket.ticket;
+      auth.csrfToken = storedTicket.csrfToken;
+      auth.issuedAt = storedTicket.issuedAt;
+    }
+    return auth;
+  }
+
+  /**
+   * Ticket of a session, in the form passed to the ticket listener and configureAuth
+   * @returns {Object|null} Object with username, ticket, csrfToken and issuedAt, or null without ticket
+   */
+  static sessionTicket(auth) {
+    if (!auth || !auth.ticket) {
+      return null;
+    }
+    return {
+      username: auth.username,
+      ticket: auth.ticket,
+      csrfToken: auth.csrfToken,
+      issuedAt: auth.issuedAt,
+    };
+  }
+
+  /**
+   * Register a function called with (connection ID, ticket) whenever a stored connection gets a ticket, to persist it
+   */
+  static setTicketListener(listener) {
+    ticketListener = listener;
+  }
+
+  /**
+   * Headers authenticating a request with the session ticket
+   * Write requests additionally need the CSRF prevention token.
    */
-  static async request(host, port, endpoint, tokenID, tokenSecret, method = 'GET', body = null) {
+  static ticketHeaders(auth, method) {
+    const headers = { Cookie: `PVEAuthCookie=${encodeURIComponent(auth.ticket)}` };
+    if (method !== 'GET') {
+      headers.CSRFPreventionToken = auth.csrfToken;
+    }
+    return headers;
+  }
+
+  /**
+   * Make sure the session has a ticket that is not close to expiring
+   * Concurrent requests share the same login.
+   */
+  static async ensureTicket(host, port, auth, tlsConfig = DEFAULT_TLS) {
+    const age = auth.ticket ? Date.now() - auth.issuedAt : Infinity;
+    if (age < TICKET_RENEW_AFTER) {
+      return;
+    }
+
+    if (!auth.pendingLogin) {
+      auth.pendingLogin = ProxmoxAPI.login(host, port, auth, age < TICKET_LIFETIME ? auth.ticket : null, tlsConfig)
+        .finally(() => {
+          auth.pendingLogin = null;
+        });
+    }
+    await auth.pendingLogin;
+  }
+
+  /**
+   * Get a ticket from /access/ticket
+   * A still valid ticket is renewed by sending it as password, which needs no second factor.
+   * Otherwise logs in with the password and, when the account has TOTP, the one-time code.
+   */
+  static async login(host, port, auth, currentTicket, tlsConfig = DEFAULT_TLS) {
+    const post = (params) => ProxmoxAPI.send(host, port, '/access/ticket', {}, 'POST', ProxmoxAPI.encodeBody(params), tlsConfig);
+
+    let data = null;
+    if (currentTicket) {
+      try {
+        data = await post({ username: auth.username, password: currentTicket });
+      } catch (error) {
+        data = null;
+      }
+    }
+
+    if (!data) {
+      data = await post({ username: auth.username, password: auth.password });
+      if (data && data.NeedTFA) {
+        if (!auth.otp) {
+          throw new Error('This account requires a TOTP code, repair a device to log in again');
+        }
+        data = await post({ username: auth.username, 'tfa-challenge': data.ticket, password: `totp:${auth.otp}` });
+        // Codes are single-use
+        auth.otp = null;
+      }
+    }
+
+    if (!data || !data.ticket) {
+      throw new Error('Login failed: no ticket received');
+    }
+
+    auth.ticket = data.ticket;
+    auth.csrfToken = data.CSRFPreventionToken;
+    auth.issuedAt = Date.now();
+    if (ticketListener && auth.connectionId !== null) {
+      ticketListener(auth.connectionId, ProxmoxAPI.sessionTicket(auth));
+    }
+  }
+
+  /**
+   * Whether an error means the endpoint is unreachable and another node should be tried
+   * @param {Error} error - Error thrown by requestEndpoint
+   * @param {string} method - HTTP method of the request
+   */
+  static isEndpointError(error, method) {
+    if (CONNECT_ERRORS.includes(error.code)) {
+      return true;
+    }
+    return method === 'GET' && CONNECTION_LOST_ERRORS.includes(error.code);
+  }
+
+  /**
+   * Configure how the certificate of a connection's nodes is verified
+   * @param {string} connectionId - ID of the stored connection
+   * @param {Object} settings - Object with tlsMode ('insecure', 'system', 'ca' or 'fingerprint'),
+   *   ca (PEM) and fingerprint (one or more SHA-256 fingerprints, comma-separated)
+   */
+  static configureTLS(connectionId, settings) {
+    tlsSettings.set(connectionId, ProxmoxAPI.tlsConfig(settings));
+  }
+
+  /**
+   * Certificate verification for the given settings, see configureTLS
+   */
+  static tlsConfig(settings) {
+    return {
+      mode: settings.tlsMode || DEFAULT_TLS.mode,
+      ca: settings.ca || null,
+      fingerprints: String(settings.fingerprint || '')
+        .split(/[,\s]+/)
+        .map((fingerprint) => ProxmoxAPI.normalizeFingerprint(fingerprint))
+        .filter((fingerprint) => fingerprint.length > 0),
+    };
+  }
+
+  /**
+   * Normalize a SHA-256 fingerprint to the AB:CD:... form shown by Proxmox
+   */
+  static normalizeFingerprint(fingerprint) {
+    const hex = String(fingerprint || '').toUpperCase().replace(/[^0-9A-F]/g, '');
+    return (hex.match(/.{1,2}/g) || []).join(':');
+  }
+
+  /**
+   * Open a TLS connection without verifying the certificate
+   * Resolves once the handshake is done, before anything is sent.
+   */
+  static openTLSSocket(host, port) {
+    return new Promise((resolve, reject) => {
+      const socket = tls.connect({
+        host,
+        port: port || 8006,
+        servername: net.isIP(host) ? undefined : host,
+        rejectUnauthorized: false,
+      });
+
+      const onError = (error) => reject(fromSocketError(error));
+      socket.once('error', onError);
+      socket.setTimeout(CONNECT_TIMEOUT);
+      socket.once('timeout', () => {
+        socket.destroy(new TimeoutError(`API request error: connect timeout after ${CONNECT_TIMEOUT / 1000}s`, { code: 'ECONNECTTIMEOUT' }));
+      });
+      socket.once('secureConnect', () => {
+        socket.setTimeout(0);
+        socket.removeAllListeners('timeout');
+        socket.removeListener('error', onError);
+        resolve(socket);
+      });
+    });
+  }
+
+  /**
+   * Open a TLS connection and check the certificate against the pinned fingerprints
+   * The API token is only sent over the returned socket, after the check passed.
+   */
+  static async connectPinned(host, port, fingerprints) {
+    const socket = await ProxmoxAPI.openTLSSocket(host, port);
+    const certificate = socket.getPeerCertificate();
+    const fingerprint = ProxmoxAPI.normalizeFingerprint(certificate && certificate.fingerprint256);
+    if (!fingerprints.includes(fingerprint)) {
+      socket.destroy();
+      throw new CertificateMismatchError(host, fingerprint);
+    }
+    return socket;
+  }
+
+  /**
+   * Get the SHA-256 certificate fingerprint of every node in a host field
+   * Used to pin certificates on first use while pairing.
+   * @returns {Array} Objects with host, port and fingerprint or error
+   */
+  static async getCertificateFingerprints(host, port) {
+    const results = [];
+    for (const target of EndpointPool.parse(host, port)) {
+      try {
+        const socket = await ProxmoxAPI.openTLSSocket(target.host, target.port);
+        const certificate = socket.getPeerCertificate();
+        socket.destroy();
+        results.push({
+          host: target.host,
+          port: target.port,
+          fingerprint: ProxmoxAPI.normalizeFingerprint(certificate && certificate.fingerprint256),
+        });
+      } catch (error) {
+        results.push({ host: target.host, port: target.port, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Make an API request to a single Proxmox node
+   */
+  static async requestEndpoint(host, port, endpoint, authHeaders, method = 'GET', body = null, tlsConfig = DEFAULT_TLS) {
+    const pinnedSocket = tlsConfig.mode === 'fingerprint'
+      ? await ProxmoxAPI.connectPinned(host, port, tlsConfig.fingerprints)
+      : null;
+
     return new Promise((resolve, reject) => {
       const options = {
         hostname: host,
@@ -18,12 +420,27 @@ class ProxmoxAPI {
         path: `/api2/json${endpoint}`,
         method,
         headers: {
-          Authorization: `PVEAPIToken=${tokenID}=${tokenSecret}`,
           'Content-Type': 'application/x-www-form-urlencoded',
         },
-        rejectUnauthorized: false, // Accept self-signed certificates
+        // Certificates are verified by CA unless the connection opted out or pins fingerprints
+        rejectUnauthorized: tlsConfig.mode === 'system' || tlsConfig.mode === 'ca',
       };
 
+      for (const [name, value] of Object.entries(authHeaders)) {
+        options.headers[name] = value;
+      }
+
+      if (tlsConfig.mode === 'ca' && tlsConfig.ca) {
+        options.ca = tlsConfig.ca;
+      }
+      if (pinnedSocket) {
+        options.createConnection = () => pinnedSocket;
+      }
+
+      if (body) {
+        options.headers['Content-Length'] = Buffer.byteLength(body);
+      }
+
       const req = https.request(options, (res) => {
         let data = '';
 
@@ -32,23 +449,52 @@ class ProxmoxAPI {
         });
 
         res.on('end', () => {
+          const success = res.statusCode >= 200 && res.statusCode < 300;
+          let jsonData = null;
           try {
-            const jsonData = JSON.parse(data);
-            if (res.statusCode >= 200 && res.statusCode < 300) {
-              resolve(jsonData.data);
-            } else {
-              reject(new Error(`API request failed: ${res.statusCode} - ${jsonData.errors || data}`));
-            }
+            jsonData = JSON.parse(data);
           } catch (error) {
-            reject(new Error(`Failed to parse API response: ${error.message}`));
+            // Error responses such as 401 may come without a JSON body
+            if (success) {
+              reject(new ParseError(`Failed to parse API response: ${error.message}`, { statusCode: res.statusCode }));
+              return;
+            }
+          }
+
+          if (success) {
+            resolve(jsonData.data);
+          } else {
+            reject(fromResponse(res.statusCode, res.statusMessage, jsonData && jsonData.errors));
           }
         });
       });
 
-      req.on('error', (error) => {
-        reject(new Error(`API request error: ${error.message}`));
+      // Long running operations return a task ID right away, so the whole request is bounded
+      if (requestOptions.timeout > 0) {
+        const timer = startTimer(() => {
+          req.destroy(new TimeoutError(`API request error: no response after ${requestOptions.timeout / 1000}s`, { code: 'ETIMEDOUT' }));
+        }, requestOptions.timeout);
+        req.once('close', () => clearTimer(timer));
+      }
+
+      // Connecting gets a shorter limit, so failover to another node does not take long
+      req.on('socket', (socket) => {
+        if (!socket.connecting) {
+          return;
+        }
+        const onTimeout = () => {
+          req.destroy(new TimeoutError(`API request error: connect timeout after ${CONNECT_TIMEOUT / 1000}s`, { code: 'ECONNECTTIMEOUT' }));
+        };
+        socket.setTimeout(CONNECT_TIMEOUT);
+        socket.once('timeout', onTimeout);
+        socket.once('connect', () => {
+          socket.setTimeout(0);
+          socket.removeListener('timeout', onTimeout);
+        });
       });
 
+      req.on('error', (error) => reject(fromSocketError(error)));
+
       if (body) {
         req.write(body);
       }
@@ -57,115 +503,527 @@ class ProxmoxAPI {
     });
   }
 
+  /**
+   * Encode parameters as a form body, skipping empty values
+   * @param {Object} params - Parameters to encode
+   * @returns {string} application/x-www-form-urlencoded body
+   */
+  static encodeBody(params) {
+    const filtered = {};
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null && value !== '') {
+        filtered[key] = value;
+      }
+    }
+    return querystring.stringify(filtered);
+  }
+
   /**
    * Test connection to Proxmox server
    */
-  static async testConnection(host, port, tokenID, tokenSecret) {
-    const nodes = await this.request(host, port, '/nodes', tokenID, tokenSecret);
+  static async testConnection(connectionId, host, port, tokenID, tokenSecret) {
+    const nodes = await this.request(connectionId, host, port, '/nodes', tokenID, tokenSecret);
     return nodes && nodes.length > 0;
   }
 
+  /**
+   * Test settings that are not stored yet
+   * Uses its own certificate verification and session, so a failed test leaves the stored
+   * connections alone, also when they use the same host.
+   * @param {Object} settings - Connection with host, port, authMethod, tokenID and tokenSecret or
+   *   username and password, and the certificate settings tlsMode, ca and fingerprint
+   * @param {string} [otp] - One-time code for accounts with TOTP
+   * @returns {Promise<Object|null>} Ticket of a username/password login, to pass to configureAuth
+   *   so the one-time code is not needed again
+   */
+  static async testSettings(settings, otp = null) {
+    const auth = settings.authMethod === 'password' ? ProxmoxAPI.createSession({
+      authMethod: settings.authMethod,
+      username: settings.username,
+      password: settings.password,
+      otp,
+    }) : null;
+    await ProxmoxAPI.requestWith(ProxmoxAPI.tlsConfig(settings), auth, settings.host, settings.port,
+      '/nodes', settings.tokenID, settings.tokenSecret);
+    return ProxmoxAPI.sessionTicket(auth);
+  }
+
+  /**
+   * Get the effective privileges of the authenticated token or user
+   * @returns {Object} Map of ACL path to { privilege: propagate }
+   */
+  static async getPermissions(connectionId, host, port, tokenID, tokenSecret) {
+    return this.request(connectionId, host, port, '/access/permissions', tokenID, tokenSecret);
+  }
+
+  /**
+   * Get the cluster name, quorum and membership of the nodes
+   * Standalone hosts only list themselves.
+   */
+  static async getClusterStatus(connectionId, host, port, tokenID, tokenSecret) {
+    return this.request(connectionId, host, port, '/cluster/status', tokenID, tokenSecret);
+  }
+
+  /**
+   * Get the state of the HA manager and of every HA resource
+   */
+  static async getHAStatus(connectionId, host, port, tokenID, tokenSecret) {
+    return this.request(connectionId, host, port, '/cluster/ha/status/current', tokenID, tokenSecret);
+  }
+
   /**
    * Get all nodes
    */
-  static async getNodes(host, port, tokenID, tokenSecret) {
-    return this.request(host, port, '/nodes', tokenID, tokenSecret);
+  static async getNodes(connectionId, host, port, tokenID, tokenSecret) {
+    return this.request(connectionId, host, port, '/nodes', tokenID, tokenSecret);
+  }
+
+  /**
+   * Get all cluster resources (nodes, guests and storage) in a single request
+   * @param {string} [type] - Optional resource type filter ('node', 'vm', 'storage')
+   */
+  static async getClusterResources(connectionId, host, port, tokenID, tokenSecret, type = null) {
+    const query = type ? `?type=${type}` : '';
+    return this.request(connectionId, host, port, `/cluster/resources${query}`, tokenID, tokenSecret);
+  }
+
+  /**
+   * Get all VMs and LXC containers of the cluster, including their pool and tags
+   * @returns {Promise<Array>} Guests from /cluster/resources with tags parsed into an array
+   */
+  static async getGuests(connectionId, host, port, tokenID, tokenSecret) {
+    const guests = await this.getClusterResources(connectionId, host, port, tokenID, tokenSecret, 'vm');
+    for (const guest of guests) {
+      guest.tags = this.parseTags(guest.tags);
+    }
+    return guests;
+  }
+
+  /**
+   * Split the tags of a guest
+   * Proxmox stores them separated by semicolons, but also accepts commas and spaces.
+   * @param {string} [tags] - Tags as returned by the API
+   * @returns {Array<string>} Tags
+   */
+  static parseTags(tags) {
+    return String(tags || '').split(/[;, ]+/).filter((tag) => tag !== '');
+  }
+
+  /**
+   * Get all resource pools
+   */
+  static async getPools(connectionId, host, port, tokenID, tokenSecret) {
+    return this.request(connectionId, host, port, '/pools', tokenID, tokenSecret);
   }
 
   /**
    * Get LXC containers for a node
    */
-  static async getLXCs(host, port, node, tokenID, tokenSecret) {
-    return this.request(host, port, `/nodes/${node}/lxc`, tokenID, tokenSecret);
+  static async getLXCs(connectionId, host, port, node, tokenID, tokenSecret) {
+    return this.request(connectionId, host, port, `/nodes/${node}/lxc`, tokenID, tokenSecret);
   }
 
   /**
    * Get VMs for a node
    */
-  static async getVMs(host, port, node, tokenID, tokenSecret) {
-    return this.request(host, port, `/nodes/${node}/qemu`, tokenID, tokenSecret);
+  static async getVMs(connectionId, host, port, node, tokenID, tokenSecret) {
+    return this.request(connectionId, host, port, `/nodes/${node}/qemu`, tokenID, tokenSecret);
   }
 
   /**
    * Get all storage
    */
-  static async getStorage(host, port, tokenID, tokenSecret) {
-    return this.request(host, port, '/storage', tokenID, tokenSecret);
+  static async getStorage(connectionId, host, port, tokenID, tokenSecret) {
+    return this.request(connectionId, host, port, '/storage', tokenID, tokenSecret);
   }
 
   /**
    * Get node status
    */
-  static async getNodeStatus(host, port, node, tokenID, tokenSecret) {
-    return this.request(host, port, `/nodes/${node}/status`, tokenID, tokenSecret);
+  static async getNodeStatus(connectionId, host, port, node, tokenID, tokenSecret) {
+    return this.request(connectionId, host, port, `/nodes/${node}/status`, tokenID, tokenSecret);
+  }
+
+  /**
+   * Reboot or shut down a node
+   * @param {string} command - 'reboot' or 'shutdown'
+   */
+  static async setNodePower(connectionId, host, port, node, command, tokenID, tokenSecret) {
+    const body = this.encodeBody({ command });
+    return this.request(connectionId, host, port, `/nodes/${node}/status`, tokenID, tokenSecret, 'POST', body);
+  }
+
+  /**
+   * Wake a node with a magic packet to the MAC address in its configuration
+   * The packet is sent by whichever node of the cluster handles the request.
+   * @returns {string} MAC address the packet was sent to
+   */
+  static async wakeNode(connectionId, host, port, node, tokenID, tokenSecret) {
+    return this.request(connectionId, host, port, `/nodes/${node}/wakeonlan`, tokenID, tokenSecret, 'POST');
+  }
+
+  /**
+   * Stop all guests on a node, in reverse startup order
+   * @param {number} [timeout] - Seconds to wait for each guest to shut down
+   * @param {boolean} [forceStop] - Hard stop guests that have not shut down after the timeout
+   * @returns {string} UPID of the task
+   */
+  static async stopAllGuests(connectionId, host, port, node, tokenID, tokenSecret, timeout = null, forceStop = null) {
+    const body = this.encodeBody({
+      timeout,
+      'force-stop': typeof forceStop === 'boolean' ? Number(forceStop) : null,
+    });
+    return this.request(connectionId, host, port, `/nodes/${node}/stopall`, tokenID, tokenSecret, 'POST', body);
   }
 
   /**
    * Get LXC status
    */
-  static async getLXCStatus(host, port, node, vmid, tokenID, tokenSecret) {
-    return this.request(host, port, `/nodes/${node}/lxc/${vmid}/status/current`, tokenID, tokenSecret);
+  static async getLXCStatus(connectionId, host, port, node, vmid, tokenID, tokenSecret) {
+    return this.request(connectionId, host, port, `/nodes/${node}/lxc/${vmid}/status/current`, tokenID, tokenSecret);
+  }
+
+  /**
+   * Get the network interfaces of a running LXC container with their addresses
+   */
+  static async getLXCInterfaces(connectionId, host, port, node, vmid, tokenID, tokenSecret) {
+    return this.request(connectionId, host, port, `/nodes/${node}/lxc/${vmid}/interfaces`, tokenID, tokenSecret);
+  }
+
+  /**
+   * Get the configuration of an LXC container
+   */
+  static async getLXCConfig(connectionId, host, port, node, vmid, tokenID, tokenSecret) {
+    return this.request(connectionId, host, port, `/nodes/${node}/lxc/${vmid}/config`, tokenID, tokenSecret);
+  }
+
+  /**
+   * Get the configuration of a VM
+   */
+  static async getVMConfig(connectionId, host, port, node, vmid, tokenID, tokenSecret) {
+    return this.request(connectionId, host, port, `/nodes/${node}/qemu/${vmid}/config`, tokenID, tokenSecret);
+  }
+
+  /**
+   * Update the configuration of an LXC container
+   * @param {Object} params - Options to change, e.g. cores, memory and swap (MB)
+   */
+  static async updateLXCConfig(connectionId, host, port, node, vmid, params, tokenID, tokenSecret) {
+    const body = this.encodeBody(params);
+    return this.request(connectionId, host, port, `/nodes/${node}/lxc/${vmid}/config`, tokenID, tokenSecret, 'PUT', body);
+  }
+
+  /**
+   * Update the configuration of a VM
+   * @param {Object} params - Options to change, e.g. cores, memory and balloon (MB)
+   */
+  static async updateVMConfig(connectionId, host, port, node, vmid, params, tokenID, tokenSecret) {
+    const body = this.encodeBody(params);
+    return this.request(connectionId, host, port, `/nodes/${node}/qemu/${vmid}/config`, tokenID, tokenSecret, 'PUT', body);
+  }
+
+  /**
+   * Grow a disk of an LXC container
+   * @param {string} disk - Volume, e.g. rootfs or mp0
+   * @param {string} size - New size such as "32G", or the growth such as "+8G"
+   * @returns {string} UPID of the resize task
+   */
+  static async resizeLXCDisk(connectionId, host, port, node, vmid, disk, size, tokenID, tokenSecret) {
+    const body = this.encodeBody({ disk, size });
+    return this.request(connectionId, host, port, `/nodes/${node}/lxc/${vmid}/resize`, tokenID, tokenSecret, 'PUT', body);
+  }
+
+  /**
+   * Grow a disk of a VM
+   * @param {string} disk - Disk, e.g. scsi0 or virtio1
+   * @param {string} size - New size such as "32G", or the growth such as "+8G"
+   * @returns {string|null} UPID of the resize task on releases that run it as a task
+   */
+  static async resizeVMDisk(connectionId, host, port, node, vmid, disk, size, tokenID, tokenSecret) {
+    const body = this.encodeBody({ disk, size });
+    return this.request(connectionId, host, port, `/nodes/${node}/qemu/${vmid}/resize`, tokenID, tokenSecret, 'PUT', body);
   }
 
   /**
    * Get VM status
    */
-  static async getVMStatus(host, port, node, vmid, tokenID, tokenSecret) {
-    return this.request(host, port, `/nodes/${node}/qemu/${vmid}/status/current`, tokenID, tokenSecret);
+  static async getVMStatus(connectionId, host, port, node, vmid, tokenID, tokenSecret) {
+    return this.request(connectionId, host, port, `/nodes/${node}/qemu/${vmid}/status/current`, tokenID, tokenSecret);
+  }
+
+  /**
+   * Check whether the QEMU guest agent of a VM responds
+   * Fails with a ServerError when the agent is not configured, not running or times out.
+   */
+  static async pingGuestAgent(connectionId, host, port, node, vmid, tokenID, tokenSecret) {
+    return this.request(connectionId, host, port, `/nodes/${node}/qemu/${vmid}/agent/ping`, tokenID, tokenSecret, 'POST');
+  }
+
+  /**
+   * Query the QEMU guest agent of a VM
+   * @param {string} command - Read command, e.g. network-get-interfaces, get-fsinfo or get-osinfo
+   * @returns {Object} Reply of the agent in the result property
+   */
+  static async getGuestAgentInfo(connectionId, host, port, node, vmid, command, tokenID, tokenSecret) {
+    return this.request(connectionId, host, port, `/nodes/${node}/qemu/${vmid}/agent/${command}`, tokenID, tokenSecret);
+  }
+
+  /**
+   * Run a command in a VM through the QEMU guest agent
+   * @param {Array<string>} command - Program followed by its arguments
+   * @returns {Object} Object with the pid to pass to getGuestExecStatus
+   */
+  static async execInGuest(connectionId, host, port, node, vmid, command, tokenID, tokenSecret) {
+    const body = this.encodeBody({ command });
+    return this.request(connectionId, host, port, `/nodes/${node}/qemu/${vmid}/agent/exec`, tokenID, tokenSecret, 'POST', body);
+  }
+
+  /**
+   * Get the status of a command started with execInGuest
+   * @returns {Object} Object with exited, and once exited the exitcode, out-data and err-data
+   */
+  static async getGuestExecStatus(connectionId, host, port, node, vmid, pid, tokenID, tokenSecret) {
+    return this.request(connectionId, host, port, `/nodes/${node}/qemu/${vmid}/agent/exec-status?pid=${pid}`, tokenID, tokenSecret);
   }
 
   /**
    * Start LXC container
    */
-  static async startLXC(host, port, node, vmid, tokenID, tokenSecret) {
-    return this.request(host, port, `/nodes/${node}/lxc/${vmid}/status/start`, tokenID, tokenSecret, 'POST');
+  static async startLXC(connectionId, host, port, node, vmid, tokenID, tokenSecret) {
+    return this.request(connectionId, host, port, `/nodes/${node}/lxc/${vmid}/status/start`, tokenID, tokenSecret, 'POST');
   }
 
   /**
    * Stop LXC container
    */
-  static async stopLXC(host, port, node, vmid, tokenID, tokenSecret) {
-    return this.request(host, port, `/nodes/${node}/lxc/${vmid}/status/stop`, tokenID, tokenSecret, 'POST');
+  static async stopLXC(connectionId, host, port, node, vmid, tokenID, tokenSecret) {
+    return this.request(connectionId, host, port, `/nodes/${node}/lxc/${vmid}/status/stop`, tokenID, tokenSecret, 'POST');
   }
 
   /**
    * Restart LXC container
    */
-  static async restartLXC(host, port, node, vmid, tokenID, tokenSecret) {
-    return this.request(host, port, `/nodes/${node}/lxc/${vmid}/status/reboot`, tokenID, tokenSecret, 'POST');
+  static async restartLXC(connectionId, host, port, node, vmid, tokenID, tokenSecret) {
+    return this.request(connectionId, host, port, `/nodes/${node}/lxc/${vmid}/status/reboot`, tokenID, tokenSecret, 'POST');
+  }
+
+  /**
+   * Shut down LXC container gracefully
+   * @param {number} [timeout] - Seconds to wait before giving up
+   * @param {boolean} [forceStop] - Hard stop the container if it has not shut down after the timeout
+   */
+  static async shutdownLXC(connectionId, host, port, node, vmid, tokenID, tokenSecret, timeout = null, forceStop = false) {
+    const body = this.encodeBody({ timeout, forceStop: forceStop ? 1 : null });
+    return this.request(connectionId, host, port, `/nodes/${node}/lxc/${vmid}/status/shutdown`, tokenID, tokenSecret, 'POST', body);
+  }
+
+  /**
+   * Suspend LXC container (freeze)
+   */
+  static async suspendLXC(connectionId, host, port, node, vmid, tokenID, tokenSecret) {
+    return this.request(connectionId, host, port, `/nodes/${node}/lxc/${vmid}/status/suspend`, tokenID, tokenSecret, 'POST');
+  }
+
+  /**
+   * Resume suspended LXC container
+   */
+  static async resumeLXC(connectionId, host, port, node, vmid, tokenID, tokenSecret) {
+    return this.request(connectionId, host, port, `/nodes/${node}/lxc/${vmid}/status/resume`, tokenID, tokenSecret, 'POST');
   }
 
   /**
    * Start VM
    */
-  static async startVM(host, port, node, vmid, tokenID, tokenSecret) {
-    return this.request(host, port, `/nodes/${node}/qemu/${vmid}/status/start`, tokenID, tokenSecret, 'POST');
+  static async startVM(connectionId, host, port, node, vmid, tokenID, tokenSecret) {
+    return this.request(connectionId, host, port, `/nodes/${node}/qemu/${vmid}/status/start`, tokenID, tokenSecret, 'POST');
   }
 
   /**
    * Stop VM
    */
-  static async stopVM(host, port, node, vmid, tokenID, tokenSecret) {
-    return this.request(host, port, `/nodes/${node}/qemu/${vmid}/status/stop`, tokenID, tokenSecret, 'POST');
+  static async stopVM(connectionId, host, port, node, vmid, tokenID, tokenSecret) {
+    return this.request(connectionId, host, port, `/nodes/${node}/qemu/${vmid}/status/stop`, tokenID, tokenSecret, 'POST');
   }
 
   /**
    * Restart VM
    */
-  static async restartVM(host, port, node, vmid, tokenID, tokenSecret) {
-    return this.request(host, port, `/nodes/${node}/qemu/${vmid}/status/reboot`, tokenID, tokenSecret, 'POST');
+  static async restartVM(connectionId, host, port, node, vmid, tokenID, tokenSecret) {
+    return this.request(connectionId, host, port, `/nodes/${node}/qemu/${vmid}/status/reboot`, tokenID, tokenSecret, 'POST');
+  }
+
+  /**
+   * Shut down VM gracefully via ACPI
+   * @param {number} [timeout] - Seconds to wait before giving up
+   * @param {boolean} [forceStop] - Hard stop the VM if it has not shut down after the timeout
+   */
+  static async shutdownVM(connectionId, host, port, node, vmid, tokenID, tokenSecret, timeout = null, forceStop = false) {
+    const body = this.encodeBody({ timeout, forceStop: forceStop ? 1 : null });
+    return this.request(connectionId, host, port, `/nodes/${node}/qemu/${vmid}/status/shutdown`, tokenID, tokenSecret, 'POST', body);
+  }
+
+  /**
+   * Reset VM (like pressing the reset button)
+   */
+  static async resetVM(connectionId, host, port, node, vmid, tokenID, tokenSecret) {
+    return this.request(connectionId, host, port, `/nodes/${node}/qemu/${vmid}/status/reset`, tokenID, tokenSecret, 'POST');
+  }
+
+  /**
+   * Suspend VM
+   * @param {boolean} [toDisk] - Hibernate (save state to disk) instead of pausing in memory
+   */
+  static async suspendVM(connectionId, host, port, node, vmid, tokenID, tokenSecret, toDisk = false) {
+    const body = this.encodeBody({ todisk: toDisk ? 1 : null });
+    return this.request(connectionId, host, port, `/nodes/${node}/qemu/${vmid}/status/suspend`, tokenID, tokenSecret, 'POST', body);
+  }
+
+  /**
+   * Resume suspended VM
+   */
+  static async resumeVM(connectionId, host, port, node, vmid, tokenID, tokenSecret) {
+    return this.request(connectionId, host, port, `/nodes/${node}/qemu/${vmid}/status/resume`, tokenID, tokenSecret, 'POST');
+  }
+
+  /**
+   * Migrate LXC container to another node
+   * Containers cannot be live migrated; running containers need restart mode.
+   * @param {string} target - Target node
+   * @param {boolean} [restart] - Use restart migration (stop, migrate, start) for a running container
+   */
+  static async migrateLXC(connectionId, host, port, node, vmid, target, tokenID, tokenSecret, restart = false) {
+    const body = this.encodeBody({ target, restart: restart ? 1 : null });
+    return this.request(connectionId, host, port, `/nodes/${node}/lxc/${vmid}/migrate`, tokenID, tokenSecret, 'POST', body);
+  }
+
+  /**
+   * Migrate VM to another node
+   * @param {string} target - Target node
+   * @param {boolean} [online] - Live migrate a running VM
+   */
+  static async migrateVM(connectionId, host, port, node, vmid, target, tokenID, tokenSecret, online = false) {
+    const body = this.encodeBody({ target, online: online ? 1 : null });
+    return this.request(connectionId, host, port, `/nodes/${node}/qemu/${vmid}/migrate`, tokenID, tokenSecret, 'POST', body);
+  }
+
+  /**
+   * List snapshots of an LXC container
+   */
+  static async getLXCSnapshots(connectionId, host, port, node, vmid, tokenID, tokenSecret) {
+    return this.request(connectionId, host, port, `/nodes/${node}/lxc/${vmid}/snapshot`, tokenID, tokenSecret);
+  }
+
+  /**
+   * Create a snapshot of an LXC container
+   */
+  static async createLXCSnapshot(connectionId, host, port, node, vmid, snapname, description, tokenID, tokenSecret) {
+    const body = this.encodeBody({ snapname, description });
+    return this.request(connectionId, host, port, `/nodes/${node}/lxc/${vmid}/snapshot`, tokenID, tokenSecret, 'POST', body);
+  }
+
+  /**
+   * Roll an LXC container back to a snapshot
+   */
+  static async rollbackLXCSnapshot(connectionId, host, port, node, vmid, snapname, tokenID, tokenSecret) {
+    return this.request(connectionId, host, port, `/nodes/${node}/lxc/${vmid}/snapshot/${encodeURIComponent(snapname)}/rollback`, tokenID, tokenSecret, 'POST');
+  }
+
+  /**
+   * Delete a snapshot of an LXC container
+   */
+  static async deleteLXCSnapshot(connectionId, host, port, node, vmid, snapname, tokenID, tokenSecret) {
+    return this.request(connectionId, host, port, `/nodes/${node}/lxc/${vmid}/snapshot/${encodeURIComponent(snapname)}`, tokenID, tokenSecret, 'DELETE');
+  }
+
+  /**
+   * List snapshots of a VM
+   */
+  static async getVMSnapshots(connectionId, host, port, node, vmid, tokenID, tokenSecret) {
+    return this.request(connectionId, host, port, `/nodes/${node}/qemu/${vmid}/snapshot`, tokenID, tokenSecret);
+  }
+
+  /**
+   * Create a snapshot of a VM
+   */
+  static async createVMSnapshot(connectionId, host, port, node, vmid, snapname, description, tokenID, tokenSecret) {
+    const body = this.encodeBody({ snapname, description });
+    return this.request(connectionId, host, port, `/nodes/${node}/qemu/${vmid}/snapshot`, tokenID, tokenSecret, 'POST', body);
+  }
+
+  /**
+   * Roll a VM back to a snapshot
+   */
+  static async rollbackVMSnapshot(connectionId, host, port, node, vmid, snapname, tokenID, tokenSecret) {
+    return this.request(connectionId, host, port, `/nodes/${node}/qemu/${vmid}/snapshot/${encodeURIComponent(snapname)}/rollback`, tokenID, tokenSecret, 'POST');
+  }
+
+  /**
+   * Delete a snapshot of a VM
+   */
+  static async deleteVMSnapshot(connectionId, host, port, node, vmid, snapname, tokenID, tokenSecret) {
+    return this.request(connectionId, host, port, `/nodes/${node}/qemu/${vmid}/snapshot/${encodeURIComponent(snapname)}`, tokenID, tokenSecret, 'DELETE');
+  }
+
+  /**
+   * Start a vzdump backup of a VM or LXC container
+   * @param {Object} options - Backup options: storage, mode (snapshot/suspend/stop), compress (zstd/lzo/gzip/0)
+   * @returns {Promise<string>} UPID of the backup task
+   */
+  static async startBackup(connectionId, host, port, node, vmid, options, tokenID, tokenSecret) {
+    const body = this.encodeBody({
+      vmid,
+      storage: options.storage,
+      mode: options.mode,
+      compress: options.compress,
+    });
+    return this.request(connectionId, host, port, `/nodes/${node}/vzdump`, tokenID, tokenSecret, 'POST', body);
+  }
+
+  /**
+   * Get the status of a task
+   * @param {string} upid - Task UPID returned by a POST call
+   */
+  static async getTaskStatus(connectionId, host, port, node, upid, tokenID, tokenSecret) {
+    return this.request(connectionId, host, port, `/nodes/${node}/tasks/${encodeURIComponent(upid)}/status`, tokenID, tokenSecret);
+  }
+
+  /**
+   * Get storages available on a node
+   * @param {string} [content] - Only list storages supporting this content type (e.g. 'backup')
+   */
+  static async getNodeStorages(connectionId, host, port, node, tokenID, tokenSecret, content = null) {
+    const query = content ? `?content=${content}` : '';
+    return this.request(connectionId, host, port, `/nodes/${node}/storage${query}`, tokenID, tokenSecret);
+  }
+
+  /**
+   * Get the contents of a storage
+   * @param {string} [content] - Content type filter (e.g. 'backup')
+   * @param {number} [vmid] - Only list volumes belonging to this guest
+   */
+  static async getStorageContent(connectionId, host, port, node, storage, tokenID, tokenSecret, content = null, vmid = null) {
+    const params = {};
+    if (content) {
+      params.content = content;
+    }
+    if (vmid) {
+      params.vmid = vmid;
+    }
+    const query = Object.keys(params).length > 0 ? `?${this.encodeBody(params)}` : '';
+    return this.request(connectionId, host, port, `/nodes/${node}/storage/${storage}/content${query}`, tokenID, tokenSecret);
   }
 
   /**
    * Get storage status
    */
-  static async getStorageStatus(host, port, node, storage, tokenID, tokenSecret) {
-    return this.request(host, port, `/nodes/${node}/storage/${storage}/status`, tokenID, tokenSecret);
+  static async getStorageStatus(connectionId, host, port, node, storage, tokenID, tokenSecret) {
+    return this.request(connectionId, host, port, `/nodes/${node}/storage/${storage}/status`, tokenID, tokenSecret);
   }
 
   /**
    * Find which node currently hosts a VM or LXC container
    * Searches all nodes in the cluster to locate the VM/LXC by VMID
+   * @param {string} connectionId - ID of the stored connection
    * @param {string} host - Proxmox host
    * @param {string} port - Proxmox port
    * @param {number} vmid - VM/LXC ID to find
@@ -174,19 +1032,19 @@ class ProxmoxAPI {
    * @param {string} tokenSecret - API token secret
    * @returns {Promise<string|null>} Node name where VM/LXC is located, or null if not found
    */
-  static async findVMNode(host, port, vmid, type, tokenID, tokenSecret) {
+  static async findVMNode(connectionId, host, port, vmid, type, tokenID, tokenSecret) {
     try {
-      const nodes = await this.getNodes(host, port, tokenID, tokenSecret);
+      const nodes = await this.getNodes(connectionId, host, port, tokenID, tokenSecret);
 
       for (const node of nodes) {
         try {
           if (type === 'lxc') {
-            const lxcs = await this.getLXCs(host, port, node.node, tokenID, tokenSecret);
+            const lxcs = await this.getLXCs(connectionId, host, port, node.node, tokenID, tokenSecret);
             if (lxcs.find((lxc) => lxc.vmid === vmid)) {
               return node.node;
             }
           } else if (type === 'vm') {
-            const vms = await this.getVMs(host, port, node.node, tokenID, tokenSecret);
+            const vms = await this.getVMs(connectionId, host, port, node.node, tokenID, tokenSecret);
             if (vms.find((vm) => vm.vmid === vmid)) {
               return node.node;
             }
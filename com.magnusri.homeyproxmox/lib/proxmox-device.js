@@ -0,0 +1,2139 @@
+'use strict';
+
+const Homey = require('homey');
+const DeviceIdentity = require('./device-identity');
+const ClusterHealth = require('./cluster-health');
+const { CertificateMismatchError, NotFoundError, ServerError } = require('./errors');
+const GuestAgent = require('./guest-agent');
+const HardwareSensors = require('./hardware-sensors');
+const Permissions = require('./permissions');
+const ProxmoxAPI = require('./proxmox-api');
+
+// How often to recompute the age of the last backup (ms)
+const BACKUP_AGE_INTERVAL = 60 * 60 * 1000;
+
+// How often to check whether the token's privileges changed (ms)
+const PERMISSION_CHECK_INTERVAL = 60 * 60 * 1000;
+
+// Capabilities added and removed at runtime, depending on privileges
+const MANAGED_CAPABILITIES = ['sensor_backup_age'];
+
+// How often to query the QEMU guest agent of VMs that have it enabled (ms)
+const GUEST_AGENT_INTERVAL = 60 * 1000;
+
+// How often to read the network interfaces of running LXC containers (ms)
+const INTERFACES_INTERVAL = 60 * 1000;
+
+// How long a command run through the guest agent may take (ms)
+const GUEST_EXEC_TIMEOUT = 60 * 1000;
+
+// Capabilities filled from the QEMU guest agent, measure_filesystem only as sub-capabilities per mountpoint
+const GUEST_AGENT_CAPABILITIES = ['sensor_ip_address', 'sensor_os_name', 'measure_filesystem'];
+
+module.exports = class ProxmoxDevice extends Homey.Device {
+
+  /**
+   * Helper function to round a number to 1 decimal place
+   */
+  roundToOneDecimal(value) {
+    return Math.round(value * 10) / 10;
+  }
+
+  /**
+   * Helper function to round a number to 2 decimal places
+   */
+  roundToTwoDecimals(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Set capability value and log to Insights if enabled
+   */
+  async setCapabilityValueWithInsights(capability, value) {
+    await this.setCapabilityValue(capability, value);
+
+    // Log to Insights if enabled
+    const settings = this.getSettings();
+    if (settings.enableInsights !== false) {
+      // Only log these specific capabilities for historical tracking
+      const insightCapabilities = [
+        'measure_cpu',
+        'measure_memory',
+        'measure_disk',
+        'measure_network_in',
+        'measure_network_out',
+        'measure_disk_read',
+        'measure_disk_write',
+      ];
+
+      if (insightCapabilities.includes(capability)) {
+        try {
+          await this.homey.insights.createLog(capability, { title: { en: this.getName() } })
+            .catch(() => {}); // Ignore if log already exists
+          await this.homey.insights.createEntry(capability, value).catch(this.error);
+        } catch (error) {
+          // Silently fail if Insights not available
+        }
+      }
+    }
+  }
+
+  /**
+   * Helper function to calculate rate from cumulative counters
+   */
+  calculateRate(currentValue, previousValue, intervalSeconds) {
+    if (previousValue === undefined || previousValue === null) {
+      return 0;
+    }
+    const delta = currentValue - previousValue;
+    if (delta < 0) {
+      // Counter reset (e.g., VM restarted), return 0
+      return 0;
+    }
+    // Convert bytes to MB/s
+    const bytesPerSecond = delta / intervalSeconds;
+    const mbPerSecond = bytesPerSecond / (1024 * 1024);
+    return this.roundToTwoDecimals(mbPerSecond);
+  }
+
+  /**
+   * Check and update alarm states based on thresholds
+   */
+  async updateAlarms(cpuPercent, memPercent, isOnline) {
+    // alarm_heat: Trigger when CPU or memory exceeds 90%, or on nodes with a sensor source
+    // when the temperature exceeds its threshold, depending on the heatAlarm setting
+    const isOverloaded = (cpuPercent > 90 || memPercent > 90);
+    const { temperature } = this.hardwareSensors || {};
+    const hasTemperature = temperature !== null && temperature !== undefined;
+    const isHot = hasTemperature && temperature > this.thresholdTracking.temperature.threshold;
+    const heatAlarm = this.getSetting('heatAlarm') || 'load';
+    let isOverheating = isOverloaded;
+    if (heatAlarm === 'temperature') {
+      isOverheating = isHot;
+    } else if (heatAlarm === 'both') {
+      isOverheating = isOverloaded || isHot;
+    }
+    // While the sensor source fails, the temperature is unknown: keep the alarm as it was
+    const temperatureUnknown = heatAlarm !== 'load' && this.hasSensorSource() && !hasTemperature;
+    if (this.hasCapability('alarm_heat') && !(temperatureUnknown && !isOverheating)) {
+      await this.setCapabilityValue('alarm_heat', isOverheating);
+    }
+
+    // alarm_connectivity: Trigger when device is offline/unreachable
+    if (this.hasCapability('alarm_connectivity')) {
+      await this.setCapabilityValue('alarm_connectivity', !isOnline);
+    }
+  }
+
+  /**
+   * Update I/O metrics (network and disk) from status data
+   */
+  async updateIOMetrics(status) {
+    const currentTime = Date.now();
+    const intervalSeconds = (currentTime - this.previousCounters.timestamp) / 1000;
+
+    if (intervalSeconds > 0) {
+      // Network I/O rates
+      if (status.netin !== undefined) {
+        const netInRate = this.calculateRate(status.netin, this.previousCounters.netin, intervalSeconds);
+        if (this.hasCapability('measure_network_in')) {
+          await this.setCapabilityValue('measure_network_in', netInRate);
+        }
+        this.previousCounters.netin = status.netin;
+      }
+
+      if (status.netout !== undefined) {
+        const netOutRate = this.calculateRate(status.netout, this.previousCounters.netout, intervalSeconds);
+        if (this.hasCapability('measure_network_out')) {
+          await this.setCapabilityValue('measure_network_out', netOutRate);
+        }
+        this.previousCounters.netout = status.netout;
+      }
+
+      // Disk I/O rates
+      if (status.diskread !== undefined) {
+        const diskReadRate = this.calculateRate(status.diskread, this.previousCounters.diskread, intervalSeconds);
+        if (this.hasCapability('measure_disk_read')) {
+          await this.setCapabilityValue('measure_disk_read', diskReadRate);
+        }
+        this.previousCounters.diskread = status.diskread;
+      }
+
+      if (status.diskwrite !== undefined) {
+        const diskWriteRate = this.calculateRate(status.diskwrite, this.previousCounters.diskwrite, intervalSeconds);
+        if (this.hasCapability('measure_disk_write')) {
+          await this.setCapabilityValue('measure_disk_write', diskWriteRate);
+        }
+        this.previousCounters.diskwrite = status.diskwrite;
+      }
+
+      this.previousCounters.timestamp = currentTime;
+    }
+
+    // Totals since the guest started
+    const totals = {
+      meter_network_in: status.netin,
+      meter_network_out: status.netout,
+      meter_disk_read: status.diskread,
+      meter_disk_write: status.diskwrite,
+    };
+    for (const [capability, bytes] of Object.entries(totals)) {
+      if (bytes !== undefined && this.hasCapability(capability)) {
+        await this.setCapabilityValue(capability, this.roundToTwoDecimals(bytes / (1024 ** 3)));
+      }
+    }
+  }
+
+  /**
+   * Check metrics and trigger flow cards when thresholds are crossed
+   */
+  async checkAndTriggerFlowCards(isRunning, cpuPercent, memPercent) {
+    // Skip if driver or triggers are not available
+    if (!this.driver) {
+      return;
+    }
+
+    // Trigger VM started/stopped
+    if (this.previousState.isRunning !== null && this.previousState.isRunning !== isRunning) {
+      if (isRunning && this.driver.vmStartedTrigger) {
+        this.driver.vmStartedTrigger.trigger(this).catch(this.error);
+      } else if (!isRunning && this.driver.vmStoppedTrigger) {
+        this.driver.vmStoppedTrigger.trigger(this).catch(this.error);
+      }
+    }
+    this.previousState.isRunning = isRunning;
+
+    // Trigger CPU threshold (only when crossing threshold, not continuously)
+    const cpuThreshold = this.thresholdTracking.cpu.threshold;
+    const cpuHysteresis = cpuThreshold - 5; // 5% hysteresis
+    if (cpuPercent > cpuThreshold && !this.thresholdTracking.cpu.above) {
+      this.thresholdTracking.cpu.above = true;
+      if (this.driver.cpuAboveThresholdTrigger) {
+        this.driver.cpuAboveThresholdTrigger.trigger(this, { cpu_usage: cpuPercent }).catch(this.error);
+      }
+    } else if (cpuPercent <= cpuHysteresis) {
+      // Reset when below threshold - hysteresis to add stability
+      this.thresholdTracking.cpu.above = false;
+    }
+
+    // Trigger memory threshold
+    const memoryThreshold = this.thresholdTracking.memory.threshold;
+    const memoryHysteresis = memoryThreshold - 5; // 5% hysteresis
+    if (memPercent > memoryThreshold && !this.thresholdTracking.memory.above) {
+      this.thresholdTracking.memory.above = true;
+      if (this.driver.memoryAboveThresholdTrigger) {
+        this.driver.memoryAboveThresholdTrigger.trigger(this, { memory_usage: memPercent }).catch(this.error);
+      }
+    } else if (memPercent <= memoryHysteresis) {
+      this.thresholdTracking.memory.above = false;
+    }
+
+    // Network and disk I/O are only reported for guests
+    if (this.hasCapability('measure_network_in')) {
+      // Trigger network traffic threshold
+      const netIn = this.getCapabilityValue('measure_network_in') || 0;
+      const netOut = this.getCapabilityValue('measure_network_out') || 0;
+      const totalNetwork = netIn + netOut;
+      const networkThreshold = this.thresholdTracking.network.threshold;
+      const networkHysteresis = networkThreshold * 0.8; // 20% hysteresis
+
+      if (totalNetwork > networkThreshold && !this.thresholdTracking.network.above) {
+        this.thresholdTracking.network.above = true;
+        if (this.driver.highNetworkTrafficTrigger) {
+          this.driver.highNetworkTrafficTrigger.trigger(this, {
+            network_in: netIn,
+            network_out: netOut,
+          }).catch(this.error);
+        }
+      } else if (totalNetwork <= networkHysteresis) {
+        this.thresholdTracking.network.above = false;
+      }
+
+      // Trigger disk I/O threshold
+      const diskRead = this.getCapabilityValue('measure_disk_read') || 0;
+      const diskWrite = this.getCapabilityValue('measure_disk_write') || 0;
+      const totalDiskIO = diskRead + diskWrite;
+      const diskIOThreshold = this.thresholdTracking.diskIO.threshold;
+      const diskIOHysteresis = diskIOThreshold * 0.8; // 20% hysteresis
+
+      if (totalDiskIO > diskIOThreshold && !this.thresholdTracking.diskIO.above) {
+        this.thresholdTracking.diskIO.above = true;
+        if (this.driver.highDiskIOTrigger) {
+          this.driver.highDiskIOTrigger.trigger(this, {
+            disk_read: diskRead,
+            disk_write: diskWrite,
+          }).catch(this.error);
+        }
+      } else if (totalDiskIO <= diskIOHysteresis) {
+        this.thresholdTracking.diskIO.above = false;
+      }
+    }
+
+    // Trigger disk space low
+    this.checkDiskSpace();
+  }
+
+  /**
+   * Trigger disk space low when free space drops below the configured thresholds
+   * The percentage and the absolute free space each have a threshold and a trigger of their own.
+   */
+  checkDiskSpace() {
+    const diskUsage = this.getCapabilityValue('measure_disk') || 0;
+    const diskFree = this.roundToOneDecimal(100 - diskUsage);
+    const diskFreeGb = this.hasCapability('measure_disk_free') ? this.getCapabilityValue('measure_disk_free') : null;
+    const { diskSpace, diskFreeGb: diskFreeGbTracking } = this.thresholdTracking;
+    const diskSpaceHysteresis = diskSpace.threshold + 5; // 5% hysteresis
+
+    if (diskFree < diskSpace.threshold && !diskSpace.below) {
+      diskSpace.below = true;
+      if (this.driver && this.driver.diskSpaceLowTrigger) {
+        this.driver.diskSpaceLowTrigger.trigger(this, {
+          disk_free: diskFree,
+          disk_free_gb: diskFreeGb !== null ? diskFreeGb : 0,
+        }).catch(this.error);
+      }
+    } else if (diskFree > diskSpaceHysteresis) {
+      diskSpace.below = false;
+    }
+
+    if (diskFreeGb === null) {
+      return;
+    }
+    const diskFreeGbHysteresis = diskFreeGbTracking.threshold * 1.1; // 10% hysteresis
+    if (diskFreeGb < diskFreeGbTracking.threshold && !diskFreeGbTracking.below) {
+      diskFreeGbTracking.below = true;
+      if (this.driver && this.driver.diskFreeBelowTrigger) {
+        this.driver.diskFreeBelowTrigger.trigger(this, { disk_free_gb: diskFreeGb, disk_free: diskFree }).catch(this.error);
+      }
+    } else if (diskFreeGb > diskFreeGbHysteresis) {
+      diskFreeGbTracking.below = false;
+    }
+  }
+
+  /**
+   * Set the used, total and free capabilities of memory or disk in GB
+   * @param {string} resource - 'memory' or 'disk'
+   * @param {number} used - Used bytes
+   * @param {number} total - Total bytes
+   */
+  async updateSizes(resource, used, total) {
+    const sizes = {
+      used,
+      total,
+      free: Math.max(0, total - used),
+    };
+    for (const [key, bytes] of Object.entries(sizes)) {
+      const capability = `measure_${resource}_${key}`;
+      if (this.hasCapability(capability)) {
+        await this.setCapabilityValue(capability, this.roundToTwoDecimals(bytes / (1024 ** 3)));
+      }
+    }
+  }
+
+  /**
+   * onInit is called when the device is initialized.
+   */
+  async onInit() {
+    this.log(`${this.constructor.name} has been initialized`);
+
+    const data = this.getData();
+
+    this.log('Device type:', data.type);
+    this.log('Device ID:', data.id);
+
+    await this.migrateCapabilities();
+
+    // Initialize previous counter values for rate calculations
+    this.previousCounters = {
+      netin: null,
+      netout: null,
+      diskread: null,
+      diskwrite: null,
+      timestamp: Date.now(),
+    };
+
+    // Initialize previous state for detecting changes
+    this.previousState = {
+      isRunning: null,
+      cpuPercent: 0,
+      memPercent: 0,
+      networkTotal: 0,
+      diskIOTotal: 0,
+      isReachable: null,
+    };
+
+    // Load settings and initialize threshold tracking
+    const settings = this.getSettings();
+    this.pollingInterval = settings.pollingInterval || 30;
+    this.thresholdTracking = {
+      cpu: { above: false, threshold: settings.cpuThreshold || 90 },
+      memory: { above: false, threshold: settings.memoryThreshold || 90 },
+      network: { above: false, threshold: settings.networkThreshold || 10 },
+      diskIO: { above: false, threshold: settings.diskIOThreshold || 50 },
+      diskSpace: { below: false, threshold: settings.diskSpaceThreshold || 20 },
+      diskFreeGb: { below: false, threshold: settings.diskFreeGbThreshold || 10 },
+      backupAge: { above: false, threshold: settings.backupAgeThreshold || 7 },
+      temperature: { above: false, threshold: settings.temperatureThreshold || 80 },
+      load: { above: false, threshold: settings.loadThreshold || 4 },
+      swap: { above: false, threshold: settings.swapThreshold || 50 },
+      ioDelay: { above: false, threshold: settings.ioDelayThreshold || 10 },
+    };
+
+    // Guests are started and stopped, nodes woken up and shut down
+    if (data.type === 'lxc' || data.type === 'vm') {
+      this.registerCapabilityListener('onoff', this.onCapabilityOnoff.bind(this));
+    } else if (data.type === 'node') {
+      this.registerCapabilityListener('onoff', this.onCapabilityNodeOnoff.bind(this));
+    }
+
+    // Register settings listener
+    this.registerMultipleCapabilityListener([], async () => {
+      // Settings changed, update thresholds
+      const newSettings = this.getSettings();
+      this.thresholdTracking.cpu.threshold = newSettings.cpuThreshold || 90;
+      this.thresholdTracking.memory.threshold = newSettings.memoryThreshold || 90;
+      this.thresholdTracking.network.threshold = newSettings.networkThreshold || 10;
+      this.thresholdTracking.diskIO.threshold = newSettings.diskIOThreshold || 50;
+      this.thresholdTracking.diskSpace.threshold = newSettings.diskSpaceThreshold || 20;
+      this.thresholdTracking.diskFreeGb.threshold = newSettings.diskFreeGbThreshold || 10;
+      this.thresholdTracking.backupAge.threshold = newSettings.backupAgeThreshold || 7;
+      this.thresholdTracking.temperature.threshold = newSettings.temperatureThreshold || 80;
+      this.thresholdTracking.load.threshold = newSettings.loadThreshold || 4;
+      this.thresholdTracking.swap.threshold = newSettings.swapThreshold || 50;
+      this.thresholdTracking.ioDelay.threshold = newSettings.ioDelayThreshold || 10;
+
+      // Re-register with the poller to pick up a new interval
+      this.pollingInterval = newSettings.pollingInterval || 30;
+      this.startPolling();
+    }, 500);
+
+    // Devices paired before connections existed carry the credentials in their settings
+    if (!this.getStoreValue('connectionId') && settings.host) {
+      const connection = this.homey.app.findOrCreateConnection(settings);
+      await this.setStoreValue('connectionId', connection.id);
+      this.log(`Migrated device to connection ${connection.name}`);
+    }
+
+    // Devices paired before identities existed learn their cluster, their data stays as is
+    this.updateIdentity().catch(this.error);
+
+    // Adjust capabilities to what the token may do, without delaying the first poll
+    this.updatePermissions().catch(this.error);
+
+    // Register with the shared cluster poller, which schedules the initial update
+    this.startPolling();
+
+    // Backups change rarely, so their age is checked on a slower timer of its own
+    if (data.type === 'lxc' || data.type === 'vm') {
+      this.backupAgeTimer = this.homey.setInterval(() => {
+        this.updateBackupAge().catch(this.error);
+      }, BACKUP_AGE_INTERVAL);
+      this.updateBackupAge().catch(this.error);
+    }
+
+    // The guest agent takes several requests per VM, so it is queried on a timer of its own too
+    if (data.type === 'vm') {
+      this.guestAgentTimer = this.homey.setInterval(() => {
+        this.updateGuestAgent().catch(this.error);
+      }, GUEST_AGENT_INTERVAL);
+      this.updateGuestAgent().catch(this.error);
+    }
+    if (data.type === 'lxc') {
+      this.interfacesTimer = this.homey.setInterval(() => {
+        this.updateInterfaces().catch(this.error);
+      }, INTERFACES_INTERVAL);
+      this.updateInterfaces().catch(this.error);
+    }
+  }
+
+  /**
+   * Add capabilities the driver gained after this device was paired
+   * The backup age is left to updatePermissions, so it is not added back after being removed.
+   */
+  async migrateCapabilities() {
+    for (const capability of this.driver.manifest.capabilities) {
+      if (!this.hasCapability(capability) && !MANAGED_CAPABILITIES.includes(capability)) {
+        await this.addCapability(capability);
+        this.log(`Added capability ${capability}`);
+      }
+    }
+  }
+
+  /**
+   * Register with the shared cluster poller for status updates
+   * Devices using the same connection share one /cluster/resources request per interval.
+   */
+  startPolling() {
+    const poller = this.homey.app.getPoller(this.getStoreValue('connectionId'));
+    if (this.poller && this.poller !== poller) {
+      this.stopPolling();
+    }
+
+    this.log(`Starting polling with interval: ${this.pollingInterval * 1000}ms`);
+    this.poller = poller;
+    this.poller.register(this);
+  }
+
+  /**
+   * Unregister from the shared cluster poller
+   */
+  stopPolling() {
+    if (this.poller) {
+      this.poller.unregister(this);
+      this.homey.app.releasePoller(this.poller);
+      this.poller = null;
+    }
+  }
+
+  /**
+   * Get the cluster this device belongs to
+   * Stored in the data of devices paired since identities exist, otherwise looked up once.
+   * @returns {string|null} Cluster name, or null if not known yet
+   */
+  getClusterName() {
+    return this.getData().cluster || this.getStoreValue('cluster') || null;
+  }
+
+  /**
+   * Look up the cluster of a device paired without one
+   */
+  async updateIdentity() {
+    if (this.getData().cluster) {
+      return;
+    }
+    const cluster = await this.homey.app.getClusterName(this.getStoreValue('connectionId'));
+    if (cluster && cluster !== this.getStoreValue('cluster')) {
+      await this.setStoreValue('cluster', cluster);
+      this.log(`Identified as ${DeviceIdentity.key(cluster, this.getData())}`);
+    }
+  }
+
+  /**
+   * Key identifying the resource of this device, see DeviceIdentity
+   * @returns {string|null} Identity key, or null while the cluster is not known
+   */
+  getIdentity() {
+    const cluster = this.getClusterName();
+    return cluster ? DeviceIdentity.key(cluster, this.getData()) : null;
+  }
+
+  /**
+   * Get the credentials of the connection this device belongs to
+   * @returns {Object} Connection with id, host, port, tokenID, tokenSecret
+   */
+  getCredentials() {
+    const connection = this.homey.app.getConnection(this.getStoreValue('connectionId'));
+    if (!connection) {
+      throw new Error(this.homey.__('errors.connection_missing'));
+    }
+    return connection;
+  }
+
+  /**
+   * Fetch the privileges of the connection and adjust capabilities to them
+   * The on/off toggle becomes read-only without VM.PowerMgmt (Sys.PowerMgmt for nodes), and the
+   * backup age is removed when backups cannot be listed.
+   */
+  async updatePermissions() {
+    const data = this.getData();
+    this.permissionsCheckedAt = Date.now();
+    this.permissions = await this.homey.app.getPermissions(this.getStoreValue('connectionId'));
+
+    if (data.type === 'node') {
+      const canPowerNode = this.getMissingPrivileges('nodePower').length === 0;
+      await this.setCapabilityOptions('onoff', { setable: canPowerNode }).catch(this.error);
+      this.log(`Permissions checked: node power control ${canPowerNode ? 'allowed' : 'denied'}`);
+      return;
+    }
+    if (data.type !== 'lxc' && data.type !== 'vm') {
+      return;
+    }
+
+    const canPower = this.getMissingPrivileges('power').length === 0;
+    await this.setCapabilityOptions('onoff', { setable: canPower }).catch(this.error);
+
+    const canListBackups = this.getMissingPrivileges('storage').length === 0;
+    if (canListBackups && !this.hasCapability('sensor_backup_age')) {
+      await this.addCapability('sensor_backup_age');
+      this.updateBackupAge().catch(this.error);
+    } else if (!canListBackups && this.hasCapability('sensor_backup_age')) {
+      await this.removeCapability('sensor_backup_age');
+    }
+
+    this.log(`Permissions checked: power control ${canPower ? 'allowed' : 'denied'}, backup age ${canListBackups ? 'allowed' : 'denied'}`);
+  }
+
+  /**
+   * Privileges this device lacks for a feature, empty when unknown
+   * @param {string} feature - Feature key, see Permissions.FEATURES
+   */
+  getMissingPrivileges(feature) {
+    if (!this.permissions) {
+      return [];
+    }
+    const data = this.getData();
+    return this.permissions.missing(feature, {
+      type: data.type,
+      vmid: data.vmid,
+      pool: this.pool,
+      node: data.type === 'storage' ? data.node : this.getNodeName(),
+      storage: data.storage,
+    });
+  }
+
+  /**
+   * Refuse an action the token lacks the privileges for, instead of failing with a 403 later
+   * @param {string} feature - Feature key, see Permissions.FEATURES
+   */
+  async checkPermission(feature) {
+    const missing = this.getMissingPrivileges(feature);
+    if (missing.length > 0) {
+      throw new Error(this.homey.__('errors.missing_permission', {
+        feature: Permissions.FEATURES[feature].title,
+        privileges: missing.join(', '),
+      }));
+    }
+  }
+
+  /**
+   * Polling interval in seconds requested by this device
+   */
+  getPollingInterval() {
+    return this.pollingInterval;
+  }
+
+  /**
+   * Get the node currently hosting this device
+   * Guests can be migrated after pairing, so the stored node takes precedence over the paired one
+   */
+  getNodeName() {
+    return this.getStoreValue('node') || this.getData().node;
+  }
+
+  /**
+   * Remember the node currently hosting this guest
+   */
+  async setNodeName(node) {
+    const currentNode = this.getNodeName();
+    if (node && node !== currentNode) {
+      const data = this.getData();
+      this.log(`${data.type === 'lxc' ? 'LXC' : 'VM'} ${data.vmid} migrated from ${currentNode} to ${node}`);
+      await this.setStoreValue('node', node);
+
+      if (this.driver && this.driver.guestMigratedTrigger) {
+        this.driver.guestMigratedTrigger.trigger(this, { old_node: currentNode, new_node: node }).catch(this.error);
+      }
+    }
+  }
+
+  /**
+   * onSettings is called when the user updates the device's settings.
+   */
+  async onSettings({ oldSettings, newSettings, changedKeys }) {
+    this.log('Settings changed:', changedKeys);
+
+    // Update thresholds
+    if (changedKeys.includes('cpuThreshold')) {
+      this.thresholdTracking.cpu.threshold = newSettings.cpuThreshold;
+      this.log(`CPU threshold updated to ${newSettings.cpuThreshold}%`);
+    }
+    if (changedKeys.includes('memoryThreshold')) {
+      this.thresholdTracking.memory.threshold = newSettings.memoryThreshold;
+      this.log(`Memory threshold updated to ${newSettings.memoryThreshold}%`);
+    }
+    if (changedKeys.includes('networkThreshold')) {
+      this.thresholdTracking.network.threshold = newSettings.networkThreshold;
+      this.log(`Network threshold updated to ${newSettings.networkThreshold} MB/s`);
+    }
+    if (changedKeys.includes('diskIOThreshold')) {
+      this.thresholdTracking.diskIO.threshold = newSettings.diskIOThreshold;
+      this.log(`Disk I/O threshold updated to ${newSettings.diskIOThreshold} MB/s`);
+    }
+    if (changedKeys.includes('diskSpaceThreshold')) {
+      this.thresholdTracking.diskSpace.threshold = newSettings.diskSpaceThreshold;
+      this.log(`Disk space threshold updated to ${newSettings.diskSpaceThreshold}% free`);
+    }
+    if (changedKeys.includes('diskFreeGbThreshold')) {
+      this.thresholdTracking.diskFreeGb.threshold = newSettings.diskFreeGbThreshold;
+      this.log(`Disk space threshold updated to ${newSettings.diskFreeGbThreshold} GB free`);
+    }
+    if (changedKeys.includes('backupAgeThreshold')) {
+      this.thresholdTracking.backupAge.threshold = newSettings.backupAgeThreshold;
+      this.log(`Backup age threshold updated to ${newSettings.backupAgeThreshold} days`);
+    }
+    if (changedKeys.includes('temperatureThreshold')) {
+      this.thresholdTracking.temperature.threshold = newSettings.temperatureThreshold;
+      this.log(`Temperature threshold updated to ${newSettings.temperatureThreshold} °C`);
+    }
+    if (changedKeys.includes('loadThreshold')) {
+      this.thresholdTracking.load.threshold = newSettings.loadThreshold;
+      this.log(`Load average threshold updated to ${newSettings.loadThreshold}`);
+    }
+    if (changedKeys.includes('swapThreshold')) {
+      this.thresholdTracking.swap.threshold = newSettings.swapThreshold;
+      this.log(`Swap threshold updated to ${newSettings.swapThreshold}%`);
+    }
+    if (changedKeys.includes('ioDelayThreshold')) {
+      this.thresholdTracking.ioDelay.threshold = newSettings.ioDelayThreshold;
+      this.log(`IO delay threshold updated to ${newSettings.ioDelayThreshold}%`);
+    }
+
+    // Add or remove the guest agent capabilities right away, the new settings are not saved yet
+    if (changedKeys.includes('useGuestAgent')) {
+      this.updateGuestAgent(newSettings.useGuestAgent).catch(this.error);
+    }
+
+    // Update polling interval if changed
+    if (changedKeys.includes('pollingInterval')) {
+      this.pollingInterval = newSettings.pollingInterval;
+      this.startPolling();
+    }
+  }
+
+  /**
+   * Update device status
+   * Triggers an immediate poll of the shared cluster poller, which also refreshes
+   * every other device of the same connection.
+   */
+  async updateStatus() {
+    if (!this.poller) {
+      this.startPolling();
+    }
+    await this.poller.poll();
+  }
+
+  /**
+   * Apply a /cluster/resources result to this device
+   * Falls back to per-device detail calls only when the resource is not listed.
+   * @param {Array} resources - Result of ProxmoxAPI.getClusterResources
+   */
+  async onPollResult(resources) {
+    try {
+      const data = this.getData();
+
+      if (data.type === 'cluster') {
+        // /cluster/resources has nothing on quorum or HA, these come from requests of their own
+        await this.updateClusterStatus();
+      } else if (data.type === 'node') {
+        const resource = resources.find((r) => r.type === 'node' && r.node === data.node);
+        if (!resource) {
+          throw new Error(`Node ${data.node} not found in cluster`);
+        }
+        await this.updateNodeStatus(resource);
+        await this.updateReachability(resource.status === 'online');
+      } else if (data.type === 'lxc' || data.type === 'vm') {
+        const resourceType = data.type === 'lxc' ? 'lxc' : 'qemu';
+        const resource = resources.find((r) => r.type === resourceType && r.vmid === data.vmid);
+
+        let status;
+        if (resource) {
+          await this.setNodeName(resource.node);
+          // Privileges may be granted through the guest's pool
+          this.pool = resource.pool || null;
+          status = resource;
+        } else if (this.homey.app.isGuestDestroyed(this.getStoreValue('connectionId'), data.type, data.vmid)) {
+          // The guest watcher saw it disappear, no need to search the nodes for it
+          await this.setUnavailable(this.homey.__('errors.guest_destroyed', { vmid: data.vmid })).catch(this.error);
+          return;
+        } else {
+          // Not listed (e.g. token cannot see the guest cluster-wide), ask the node directly
+          status = await this.fetchGuestStatus();
+        }
+
+        // Guests on a node that left the cluster are reported with status "unknown"
+        const reachable = status.status !== 'unknown';
+        if (reachable) {
+          await this.updateGuestStatus(status);
+        }
+        await this.updateReachability(reachable);
+      } else if (data.type === 'storage') {
+        // Local storages are listed once per node, shared storages may be reported by any node
+        const candidates = resources.filter((r) => r.type === 'storage' && r.storage === data.storage);
+        const resource = candidates.find((r) => r.node === data.node && r.status === 'available')
+          || (data.shared !== false ? candidates.find((r) => r.shared && r.status === 'available') : null)
+          || candidates.find((r) => r.node === data.node);
+
+        let status;
+        if (resource && resource.status !== 'available') {
+          // Listed but not active (e.g. NFS server down or node offline)
+          status = null;
+        } else if (resource) {
+          status = {
+            total: resource.maxdisk,
+            used: resource.disk,
+            avail: resource.maxdisk - resource.disk,
+          };
+        } else {
+          const credentials = this.getCredentials();
+          status = await ProxmoxAPI.getStorageStatus(
+            credentials.id, credentials.host, credentials.port, data.node, data.storage,
+            credentials.tokenID, credentials.tokenSecret,
+          );
+        }
+        await this.updateStorageStatus(status);
+        await this.updateReachability(status !== null && status !== undefined);
+      }
+
+      // Privileges may change on the server, check them again once the cache expired
+      if (!this.permissionsCheckedAt || Date.now() - this.permissionsCheckedAt > PERMISSION_CHECK_INTERVAL) {
+        this.updatePermissions().catch(this.error);
+        if (!this.getClusterName()) {
+          this.updateIdentity().catch(this.error);
+        }
+      }
+
+      // Mark device as available and clear error alarms
+      await this.setAvailable().catch(this.error);
+      if (this.hasCapability('alarm_generic')) {
+        await this.setCapabilityValue('alarm_generic', false).catch(this.error);
+      }
+    } catch (error) {
+      await this.onPollError(error);
+    }
+  }
+
+  /**
+   * Handle a failed poll
+   * The API could not be queried (every node endpoint of the connection failed), which says
+   * nothing about the guest itself, so the unreachable trigger is left alone.
+   */
+  async onPollError(error) {
+    this.error('Failed to update status:', error.message);
+
+    // Mark device as unavailable with error message
+    const message = error instanceof CertificateMismatchError
+      ? this.homey.__('errors.certificate_mismatch', { host: error.host, fingerprint: error.fingerprint })
+      : this.homey.__('errors.connection_failed', { error: error.message });
+    await this.setUnavailable(message).catch(this.error);
+
+    // Trigger alarm_generic on error
+    if (this.hasCapability('alarm_generic')) {
+      await this.setCapabilityValue('alarm_generic', true).catch(this.error);
+    }
+  }
+
+  /**
+   * Track whether the cluster can reach this node, guest or storage
+   * Fires the unreachable trigger once when it becomes unreachable.
+   * @param {boolean} reachable - Whether the cluster reports the device as reachable
+   */
+  async updateReachability(reachable) {
+    if (!reachable && this.previousState.isReachable !== false) {
+      this.log('Device became unreachable');
+      if (this.hasCapability('alarm_connectivity')) {
+        await this.setCapabilityValue('alarm_connectivity', true).catch(this.error);
+      }
+      if (this.driver && this.driver.deviceUnreachableTrigger) {
+        this.driver.deviceUnreachableTrigger.trigger(this).catch(this.error);
+      }
+    }
+    this.previousState.isReachable = reachable;
+  }
+
+  /**
+   * Update the quorum, node and HA capabilities of a cluster device
+   * Fires the quorum lost, node left and HA resource error triggers for changes since the previous
+   * poll, so the state found when the app starts does not fire them.
+   */
+  async updateClusterStatus() {
+    const credentials = this.getCredentials();
+    const status = await ProxmoxAPI.getClusterStatus(credentials.id, credentials.host, credentials.port, credentials.tokenID, credentials.tokenSecret);
+    // The HA status needs Sys.Audit on /, the quorum and nodes are shown without it
+    const haStatus = await ProxmoxAPI.getHAStatus(credentials.id, credentials.host, credentials.port, credentials.tokenID, credentials.tokenSecret)
+      .catch((error) => {
+        this.log('Could not get HA status:', error.message);
+        return null;
+      });
+    const health = ClusterHealth.summarize(status, haStatus);
+    // Keep the HA resources of the previous poll, so failed ones don't fire again once the status is back
+    if (!haStatus && this.clusterHealth) {
+      health.services = this.clusterHealth.services;
+    }
+
+    await this.setCapabilityValue('alarm_quorum', !health.quorate);
+    await this.setCapabilityValue('measure_nodes_online', health.nodesOnline);
+    await this.setCapabilityValue('measure_nodes_total', health.nodesTotal);
+    await this.setCapabilityValue('sensor_ha_state', health.haState);
+
+    const previous = this.clusterHealth;
+    this.clusterHealth = health;
+    if (!previous || !this.driver) {
+      return;
+    }
+
+    if (previous.quorate && !health.quorate) {
+      this.log(`Cluster lost quorum, ${health.nodesOnline} of ${health.nodesTotal} nodes online`);
+      this.driver.quorumLostTrigger.trigger(this, {
+        nodes_online: health.nodesOnline,
+        nodes_total: health.nodesTotal,
+      }).catch(this.error);
+    }
+
+    for (const node of previous.onlineNodes) {
+      if (!health.onlineNodes.includes(node)) {
+        this.log(`Node ${node} left the cluster`);
+        this.driver.nodeLeftClusterTrigger.trigger(this, { node, nodes_online: health.nodesOnline }).catch(this.error);
+      }
+    }
+
+    const previousStates = new Map(previous.services.map((service) => [service.sid, service.state]));
+    for (const service of health.services) {
+      if (ClusterHealth.isFailed(service.state) && previousStates.get(service.sid) !== service.state) {
+        this.log(`HA resource ${service.sid} entered state ${service.state}`);
+        this.driver.haResourceErrorTrigger.trigger(this, {
+          resource: service.sid,
+          state: service.state,
+          node: service.node || '',
+        }).catch(this.error);
+      }
+    }
+  }
+
+  /**
+   * Fetch guest status directly from its node, following migrations
+   */
+  async fetchGuestStatus() {
+    const data = this.getData();
+    return this.callGuestAPI('Getting status of', (node, credentials) => (data.type === 'lxc'
+      ? ProxmoxAPI.getLXCStatus(credentials.id, credentials.host, credentials.port, node, data.vmid, credentials.tokenID, credentials.tokenSecret)
+      : ProxmoxAPI.getVMStatus(credentials.id, credentials.host, credentials.port, node, data.vmid, credentials.tokenID, credentials.tokenSecret)));
+  }
+
+  /**
+   * Update capabilities of a node device from its cluster resource entry
+   */
+  async updateNodeStatus(status) {
+    const data = this.getData();
+    const isOnline = status.status === 'online' && status.uptime > 0;
+    await this.setCapabilityValue('onoff', isOnline);
+
+    let cpuPercent = 0;
+    let memPercent = 0;
+
+    // Update resource metrics
+    if (isOnline) {
+      // CPU usage (cpu is a decimal like 0.14 for 14%)
+      if (status.cpu !== undefined) {
+        cpuPercent = this.roundToOneDecimal(status.cpu * 100);
+        await this.setCapabilityValue('measure_cpu', cpuPercent);
+      }
+
+      // Memory usage percentage
+      if (status.mem !== undefined && status.maxmem > 0) {
+        memPercent = this.roundToOneDecimal((status.mem / status.maxmem) * 100);
+        await this.setCapabilityValue('measure_memory', memPercent);
+        await this.updateSizes('memory', status.mem, status.maxmem);
+      }
+
+      // Disk usage percentage (rootfs for nodes)
+      if (status.disk !== undefined && status.maxdisk > 0) {
+        const diskPercent = (status.disk / status.maxdisk) * 100;
+        await this.setCapabilityValue('measure_disk', this.roundToOneDecimal(diskPercent));
+        await this.updateSizes('disk', status.disk, status.maxdisk);
+      }
+
+      // Uptime in hours
+      if (status.uptime !== undefined) {
+        const uptimeHours = status.uptime / 3600;
+        await this.setCapabilityValue('sensor_uptime', this.roundToOneDecimal(uptimeHours));
+      }
+
+      // Update I/O metrics
+      await this.updateIOMetrics(status);
+
+      // Load, swap and versions are only in the node's own status
+      await this.updateNodeDetails().catch((error) => this.error('Failed to get node details:', error.message));
+
+      // A failing sensor source must not mark the node unavailable
+      await this.updateHardwareSensors().catch((error) => this.error('Failed to read hardware sensors:', error.message));
+    } else {
+      // Reset I/O rates when offline (only legacy node devices have them)
+      for (const capability of ['measure_network_in', 'measure_network_out', 'measure_disk_read', 'measure_disk_write']) {
+        if (this.hasCapability(capability)) {
+          await this.setCapabilityValue(capability, 0);
+        }
+      }
+    }
+
+    // Update alarms
+    await this.updateAlarms(cpuPercent, memPercent, isOnline);
+
+    // Check and trigger flow cards
+    await this.checkAndTriggerFlowCards(isOnline, cpuPercent, memPercent);
+
+    this.log(`Node ${data.node} status: ${status.uptime} (${isOnline ? 'ON' : 'OFF'})`);
+  }
+
+  /**
+   * Update load average, swap, IO delay, KSM sharing and versions of this node
+   * /cluster/resources does not have them, so they come from /nodes/{node}/status.
+   */
+  async updateNodeDetails() {
+    const data = this.getData();
+    const credentials = this.getCredentials();
+    const status = await ProxmoxAPI.getNodeStatus(
+      credentials.id, credentials.host, credentials.port, data.node,
+      credentials.tokenID, credentials.tokenSecret,
+    );
+
+    // Load averages are strings like "0.42"
+    const [load1, load5, load15] = (status.loadavg || []).map((value) => this.roundToTwoDecimals(parseFloat(value)));
+    const loads = { measure_load_1: load1, measure_load_5: load5, measure_load_15: load15 };
+    for (const [capability, value] of Object.entries(loads)) {
+      if (this.hasCapability(capability) && Number.isFinite(value)) {
+        await this.setCapabilityValue(capability, value);
+      }
+    }
+
+    let swapPercent = null;
+    if (status.swap && status.swap.total > 0) {
+      swapPercent = this.roundToOneDecimal((status.swap.used / status.swap.total) * 100);
+    } else if (status.swap) {
+      // No swap configured
+      swapPercent = 0;
+    }
+    if (this.hasCapability('measure_swap') && swapPercent !== null) {
+      await this.setCapabilityValue('measure_swap', swapPercent);
+    }
+
+    // wait is the share of CPU time spent waiting for I/O, like cpu a decimal
+    const ioDelay = status.wait !== undefined ? this.roundToOneDecimal(status.wait * 100) : null;
+    if (this.hasCapability('measure_io_delay') && ioDelay !== null) {
+      await this.setCapabilityValue('measure_io_delay', ioDelay);
+    }
+
+    if (this.hasCapability('measure_ksm_shared') && status.ksm) {
+      await this.setCapabilityValue('measure_ksm_shared', this.roundToTwoDecimals((status.ksm.shared || 0) / (1024 ** 3)));
+    }
+
+    await this.updateVersions(status);
+
+    if (!this.driver) {
+      return;
+    }
+    if (Number.isFinite(load5) && this.crossedThreshold('load', load5) && this.driver.loadAboveThresholdTrigger) {
+      this.driver.loadAboveThresholdTrigger.trigger(this, { load_1: load1, load_5: load5, load_15: load15 }).catch(this.error);
+    }
+    if (swapPercent !== null && this.crossedThreshold('swap', swapPercent) && this.driver.swapAboveThresholdTrigger) {
+      this.driver.swapAboveThresholdTrigger.trigger(this, { swap_usage: swapPercent }).catch(this.error);
+    }
+    if (ioDelay !== null && this.crossedThreshold('ioDelay', ioDelay) && this.driver.ioDelayAboveThresholdTrigger) {
+      this.driver.ioDelayAboveThresholdTrigger.trigger(this, { io_delay: ioDelay }).catch(this.error);
+    }
+  }
+
+  /**
+   * Update the PVE and kernel version of this node
+   * The PVE version is kept in the store, so an upgrade while Homey was off is noticed too.
+   * @param {Object} status - Result of /nodes/{node}/status
+   */
+  async updateVersions(status) {
+    // pveversion looks like "pve-manager/8.2.7/3e0176e6bb2ade3b"
+    const pveVersion = status.pveversion ? status.pveversion.split('/')[1] || status.pveversion : null;
+    // Older releases only report kversion, e.g. "Linux 6.8.12-4-pve #1 SMP PREEMPT_DYNAMIC ..."
+    const kernel = status['current-kernel'] && status['current-kernel'].release
+      ? status['current-kernel'].release
+      : (status.kversion || '').split(' ')[1] || null;
+
+    if (this.hasCapability('sensor_kernel_version') && kernel) {
+      await this.setCapabilityValue('sensor_kernel_version', kernel);
+    }
+    if (!pveVersion) {
+      return;
+    }
+    if (this.hasCapability('sensor_pve_version')) {
+      await this.setCapabilityValue('sensor_pve_version', pveVersion);
+    }
+
+    const previousVersion = this.getStoreValue('pveVersion');
+    if (previousVersion !== pveVersion) {
+      await this.setStoreValue('pveVersion', pveVersion);
+      if (previousVersion) {
+        this.log(`PVE version changed from ${previousVersion} to ${pveVersion}`);
+        if (this.driver && this.driver.pveVersionChangedTrigger) {
+          this.driver.pveVersionChangedTrigger.trigger(this, {
+            old_version: previousVersion,
+            new_version: pveVersion,
+            kernel: kernel || '',
+          }).catch(this.error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Track a value against its threshold, with the same hysteresis as the other threshold triggers
+   * @param {string} key - Key in thresholdTracking
+   * @param {number} value - Current value
+   * @returns {boolean} True only when the value rises above the threshold
+   */
+  crossedThreshold(key, value) {
+    const tracking = this.thresholdTracking[key];
+    if (value > tracking.threshold && !tracking.above) {
+      tracking.above = true;
+      return true;
+    }
+    if (value <= tracking.threshold) {
+      tracking.above = false;
+    }
+    return false;
+  }
+
+  /**
+   * Whether a sensor source is configured for this node
+   */
+  hasSensorSource() {
+    const settings = this.getSettings();
+    return Boolean(settings.sensorSource && settings.sensorSource !== 'none' && settings.sensorUrl);
+  }
+
+  /**
+   * Read temperature and fan speed of this node from the sensor source in its settings
+   * The capabilities are added while a source is configured (fan speed only if the source reports
+   * fans) and removed again without one. Fires the temperature trigger when crossing the threshold.
+   */
+  async updateHardwareSensors() {
+    const settings = this.getSettings();
+    if (!this.hasSensorSource()) {
+      this.hardwareSensors = null;
+      for (const capability of ['measure_temperature', 'measure_fan_speed']) {
+        if (this.hasCapability(capability)) {
+          await this.removeCapability(capability);
+        }
+      }
+      return;
+    }
+
+    let readings;
+    try {
+      readings = await HardwareSensors.read(settings.sensorSource, settings.sensorUrl, settings.temperatureSensor);
+    } catch (error) {
+      // Don't judge the heat alarm by the last readings
+      this.hardwareSensors = null;
+      throw error;
+    }
+    this.hardwareSensors = readings;
+
+    if (!this.hasCapability('measure_temperature')) {
+      await this.addCapability('measure_temperature');
+    }
+    await this.setCapabilityValue('measure_temperature', readings.temperature);
+
+    if (readings.fanSpeed !== null) {
+      if (!this.hasCapability('measure_fan_speed')) {
+        await this.addCapability('measure_fan_speed');
+      }
+      await this.setCapabilityValue('measure_fan_speed', readings.fanSpeed);
+    }
+
+    // Trigger temperature threshold (only when crossing threshold, not continuously)
+    const tracking = this.thresholdTracking.temperature;
+    if (readings.temperature !== null && readings.temperature > tracking.threshold && !tracking.above) {
+      tracking.above = true;
+      if (this.driver && this.driver.nodeTemperatureAboveTrigger) {
+        this.driver.nodeTemperatureAboveTrigger.trigger(this, { temperature: readings.temperature }).catch(this.error);
+      }
+    } else if (readings.temperature === null || readings.temperature <= tracking.threshold) {
+      tracking.above = false;
+    }
+  }
+
+  /**
+   * Update capabilities of an LXC or VM device
+   * Accepts both a cluster resource entry and a status/current response.
+   */
+  async updateGuestStatus(status) {
+    const data = this.getData();
+    const isRunning = status.status === 'running';
+    await this.setCapabilityValue('onoff', isRunning);
+
+    let cpuPercent = 0;
+    let memPercent = 0;
+
+    // Configured vCPUs and memory, also while stopped (status/current reports cpus instead of maxcpu)
+    const cores = status.maxcpu !== undefined ? status.maxcpu : status.cpus;
+    if (this.hasCapability('sensor_cores') && cores !== undefined) {
+      await this.setCapabilityValue('sensor_cores', cores);
+    }
+    if (this.hasCapability('sensor_memory_configured') && status.maxmem !== undefined) {
+      await this.setCapabilityValue('sensor_memory_configured', this.roundToTwoDecimals(status.maxmem / (1024 ** 3)));
+    }
+
+    // Update resource metrics if running
+    if (isRunning) {
+      // CPU usage (cpu is a decimal)
+      if (status.cpu !== undefined) {
+        cpuPercent = this.roundToOneDecimal(status.cpu * 100);
+        await this.setCapabilityValue('measure_cpu', cpuPercent);
+      }
+
+      // Memory usage percentage
+      if (status.mem !== undefined && status.maxmem !== undefined && status.maxmem > 0) {
+        memPercent = this.roundToOneDecimal((status.mem / status.maxmem) * 100);
+        await this.setCapabilityValue('measure_memory', memPercent);
+        await this.updateSizes('memory', status.mem, status.maxmem);
+      }
+
+      // Disk usage percentage
+      if (status.disk !== undefined && status.maxdisk !== undefined && status.maxdisk > 0) {
+        const diskPercent = (status.disk / status.maxdisk) * 100;
+        await this.setCapabilityValue('measure_disk', this.roundToOneDecimal(diskPercent));
+        await this.updateSizes('disk', status.disk, status.maxdisk);
+      }
+
+      // Uptime in hours
+      if (status.uptime !== undefined) {
+        const uptimeHours = status.uptime / 3600;
+        await this.setCapabilityValue('sensor_uptime', this.roundToOneDecimal(uptimeHours));
+      }
+
+      // Update I/O metrics
+      await this.updateIOMetrics(status);
+    } else {
+      // When stopped, set metrics to 0
+      await this.setCapabilityValue('measure_cpu', 0);
+      await this.setCapabilityValue('measure_memory', 0);
+      await this.setCapabilityValue('measure_disk', 0);
+      await this.setCapabilityValue('sensor_uptime', 0);
+      await this.setCapabilityValue('measure_network_in', 0);
+      await this.setCapabilityValue('measure_network_out', 0);
+      await this.setCapabilityValue('measure_disk_read', 0);
+      await this.setCapabilityValue('measure_disk_write', 0);
+
+      // Nothing is in use and the totals start over at the next start, disk sizes keep their last value
+      if (status.maxmem !== undefined) {
+        await this.updateSizes('memory', 0, status.maxmem);
+      }
+      for (const capability of ['meter_network_in', 'meter_network_out', 'meter_disk_read', 'meter_disk_write']) {
+        if (this.hasCapability(capability)) {
+          await this.setCapabilityValue(capability, 0);
+        }
+      }
+    }
+
+    // Update alarms
+    await this.updateAlarms(cpuPercent, memPercent, isRunning);
+
+    // Check and trigger flow cards
+    await this.checkAndTriggerFlowCards(isRunning, cpuPercent, memPercent);
+
+    this.log(`${data.type === 'lxc' ? 'LXC' : 'VM'} ${data.vmid} status: ${status.status} (${isRunning ? 'ON' : 'OFF'})`);
+  }
+
+  /**
+   * Update capabilities of a storage device
+   * @param {Object} status - Object with total, used and avail in bytes
+   */
+  async updateStorageStatus(status) {
+    const data = this.getData();
+
+    // Storage is always "online" if we can get status
+    const isOnline = status !== null && status !== undefined;
+
+    if (isOnline) {
+      // Storage metrics
+      // avail = available space in bytes
+      // used = used space in bytes
+      // total = total space in bytes
+      if (status.avail !== undefined && status.total !== undefined && status.total > 0) {
+        const used = status.used || (status.total - status.avail);
+        const diskPercent = (used / status.total) * 100;
+        if (this.hasCapability('measure_disk')) {
+          await this.setCapabilityValue('measure_disk', this.roundToOneDecimal(diskPercent));
+        }
+        await this.updateSizes('disk', used, status.total);
+      }
+
+      if (this.hasCapability('alarm_connectivity')) {
+        await this.setCapabilityValue('alarm_connectivity', false);
+      }
+
+      // Check disk space threshold
+      this.checkDiskSpace();
+    }
+
+    this.log(`Storage ${data.storage} disk usage: ${this.getCapabilityValue('measure_disk')}%`);
+  }
+
+  /**
+   * Run an API call against the node currently hosting this guest
+   * If the call fails, checks whether the guest was migrated and retries once on its new node.
+   * @param {string} action - Description of the call, used for logging
+   * @param {Function} apiCall - Called with (node, credentials), returns a promise
+   * @returns {Promise<*>} Result of the API call
+   */
+  async callGuestAPI(action, apiCall) {
+    const data = this.getData();
+    const credentials = this.getCredentials();
+    const label = data.type === 'lxc' ? 'LXC' : 'VM';
+    const node = this.getNodeName();
+
+    try {
+      this.log(`${action} ${label} ${data.vmid} on node ${node}`);
+      return await apiCall(node, credentials);
+    } catch (error) {
+      // A guest that moved to another node is not found on the old one. Other failures
+      // (timeouts, authentication) say nothing about the guest's location.
+      if (!(error instanceof NotFoundError)) {
+        throw error;
+      }
+      this.log(`Failed ${action.toLowerCase()} ${label} on node ${node}, searching for migration...`);
+      const newNode = await ProxmoxAPI.findVMNode(
+        credentials.id, credentials.host, credentials.port, data.vmid, data.type,
+        credentials.tokenID, credentials.tokenSecret,
+      );
+
+      if (newNode && newNode !== node) {
+        await this.setNodeName(newNode);
+        // Retry with new node
+        return apiCall(newNode, credentials);
+      }
+      // Real error, not migration
+      throw error;
+    }
+  }
+
+  /**
+   * Handle onoff capability changes
+   * Turning off either shuts the guest down gracefully or hard stops it, depending on the onoffAction setting.
+   */
+  async onCapabilityOnoff(value) {
+    const data = this.getData();
+    const settings = this.getSettings();
+    const offAction = settings.onoffAction === 'stop' ? 'stop' : 'shutdown';
+
+    this.log(`${data.type} ${data.id}: Changing power state to ${value ? 'ON' : 'OFF'}`);
+
+    try {
+      let upid;
+      if (value) {
+        upid = await this.startGuest();
+      } else if (offAction === 'stop') {
+        upid = await this.stopGuest();
+      } else {
+        upid = await this.shutdownGuest(settings.shutdownTimeout, settings.shutdownForceStop);
+      }
+
+      // Don't block the toggle on the task, the status follows once it finishes
+      await this.followTask(upid, false);
+      return true;
+    } catch (error) {
+      this.error('Failed to change power state:', error.message);
+      throw new Error(`Failed to ${value ? 'start' : offAction} ${data.type}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Track a task started for this device until it finishes
+   * Fires the task finished or task failed trigger and refreshes the device status afterwards.
+   * @param {string} upid - Task UPID returned by the API
+   * @returns {Promise<Object>} Task result from the TaskTracker
+   */
+  async trackTask(upid) {
+    const result = await this.homey.app.taskTracker.track(this.getCredentials(), upid);
+    this.log(`Task ${result.type} finished with status ${result.exitStatus} after ${result.duration}s`);
+
+    const tokens = {
+      type: result.type,
+      exit_status: result.exitStatus,
+      duration: result.duration,
+    };
+    if (this.driver) {
+      const trigger = result.success ? this.driver.taskFinishedTrigger : this.driver.taskFailedTrigger;
+      if (trigger) {
+        trigger.trigger(this, tokens).catch(this.error);
+      }
+    }
+
+    this.updateStatus().catch(this.error);
+    return result;
+  }
+
+  /**
+   * Follow up on the task of an action
+   * @param {string} upid - Task UPID returned by the API
+   * @param {boolean} wait - Wait for the task and fail with the Proxmox exit status if it did not succeed
+   * @returns {Promise<Object|null>} Task result when waiting, null otherwise
+   */
+  async followTask(upid, wait) {
+    if (!upid) {
+      // Nothing to track, just refresh the status
+      this.updateStatus().catch(this.error);
+      return null;
+    }
+
+    const tracking = this.trackTask(upid);
+    if (!wait) {
+      tracking.catch(this.error);
+      return null;
+    }
+
+    const result = await tracking;
+    if (!result.success) {
+      throw new Error(this.homey.__('errors.task_failed', { type: result.type, status: result.exitStatus }));
+    }
+    return result;
+  }
+
+  /**
+   * Start this guest
+   */
+  async startGuest() {
+    await this.checkPermission('power');
+
+    const data = this.getData();
+    const result = await this.callGuestAPI('Starting', (node, credentials) => (data.type === 'lxc'
+      ? ProxmoxAPI.startLXC(credentials.id, credentials.host, credentials.port, node, data.vmid, credentials.tokenID, credentials.tokenSecret)
+      : ProxmoxAPI.startVM(credentials.id, credentials.host, credentials.port, node, data.vmid, credentials.tokenID, credentials.tokenSecret)));
+    this.log(`${data.type === 'lxc' ? 'LXC' : 'VM'} ${data.vmid} start command sent successfully`);
+    return result;
+  }
+
+  /**
+   * Hard stop this guest (immediate power off)
+   */
+  async stopGuest() {
+    await this.checkPermission('power');
+
+    const data = this.getData();
+    const result = await this.callGuestAPI('Stopping', (node, credentials) => (data.type === 'lxc'
+      ? ProxmoxAPI.stopLXC(credentials.id, credentials.host, credentials.port, node, data.vmid, credentials.tokenID, credentials.tokenSecret)
+      : ProxmoxAPI.stopVM(credentials.id, credentials.host, credentials.port, node, data.vmid, credentials.tokenID, credentials.tokenSecret)));
+    this.log(`${data.type === 'lxc' ? 'LXC' : 'VM'} ${data.vmid} stop command sent successfully`);
+    return result;
+  }
+
+  /**
+   * Shut this guest down gracefully (ACPI for VMs, init shutdown for LXC)
+   * @param {number} [timeout] - Seconds to wait for the shutdown
+   * @param {boolean} [forceStop] - Hard stop the guest if it is still running after the timeout
+   */
+  async shutdownGuest(timeout, forceStop) {
+    await this.checkPermission('power');
+
+    const data = this.getData();
+    const result = await this.callGuestAPI('Shutting down', (node, credentials) => (data.type === 'lxc'
+      ? ProxmoxAPI.shutdownLXC(credentials.id, credentials.host, credentials.port, node, data.vmid, credentials.tokenID, credentials.tokenSecret, timeout, forceStop)
+      : ProxmoxAPI.shutdownVM(credentials.id, credentials.host, credentials.port, node, data.vmid, credentials.tokenID, credentials.tokenSecret, timeout, forceStop)));
+    this.log(`${data.type === 'lxc' ? 'LXC' : 'VM'} ${data.vmid} shutdown command sent successfully`);
+    return result;
+  }
+
+  /**
+   * Reset this guest (VMs only, containers have no reset)
+   */
+  async resetGuest() {
+    await this.checkPermission('power');
+
+    const data = this.getData();
+    if (data.type !== 'vm') {
+      throw new Error(this.homey.__('errors.not_supported_for_lxc', { action: 'Reset' }));
+    }
+    const result = await this.callGuestAPI('Resetting', (node, credentials) => ProxmoxAPI.resetVM(
+      credentials.id, credentials.host, credentials.port, node, data.vmid,
+      credentials.tokenID, credentials.tokenSecret,
+    ));
+    this.log(`VM ${data.vmid} reset command sent successfully`);
+    return result;
+  }
+
+  /**
+   * Suspend this guest
+   * @param {boolean} [toDisk] - Hibernate instead of pausing in memory (VMs only)
+   */
+  async suspendGuest(toDisk = false) {
+    await this.checkPermission('power');
+
+    const data = this.getData();
+    if (data.type === 'lxc' && toDisk) {
+      throw new Error(this.homey.__('errors.not_supported_for_lxc', { action: 'Hibernate' }));
+    }
+    const result = await this.callGuestAPI(toDisk ? 'Hibernating' : 'Suspending', (node, credentials) => (data.type === 'lxc'
+      ? ProxmoxAPI.suspendLXC(credentials.id, credentials.host, credentials.port, node, data.vmid, credentials.tokenID, credentials.tokenSecret)
+      : ProxmoxAPI.suspendVM(credentials.id, credentials.host, credentials.port, node, data.vmid, credentials.tokenID, credentials.tokenSecret, toDisk)));
+    this.log(`${data.type === 'lxc' ? 'LXC' : 'VM'} ${data.vmid} ${toDisk ? 'hibernate' : 'suspend'} command sent successfully`);
+    return result;
+  }
+
+  /**
+   * Resume this guest from suspend
+   */
+  async resumeGuest() {
+    await this.checkPermission('power');
+
+    const data = this.getData();
+    const result = await this.callGuestAPI('Resuming', (node, credentials) => (data.type === 'lxc'
+      ? ProxmoxAPI.resumeLXC(credentials.id, credentials.host, credentials.port, node, data.vmid, credentials.tokenID, credentials.tokenSecret)
+      : ProxmoxAPI.resumeVM(credentials.id, credentials.host, credentials.port, node, data.vmid, credentials.tokenID, credentials.tokenSecret)));
+    this.log(`${data.type === 'lxc' ? 'LXC' : 'VM'} ${data.vmid} resume command sent successfully`);
+    return result;
+  }
+
+  /**
+   * Handle onoff capability changes of a node
+   * Turning on sends a wake-on-LAN packet, turning off shuts the node down if allowed in its settings.
+   */
+  async onCapabilityNodeOnoff(value) {
+    const data = this.getData();
+    this.log(`Node ${data.node}: ${value ? 'Waking up' : 'Shutting down'}`);
+
+    try {
+      if (value) {
+        await this.wakeNode();
+      } else {
+        await this.setNodePower('shutdown');
+      }
+      return true;
+    } catch (error) {
+      this.error('Failed to change node power state:', error.message);
+      throw new Error(`Failed to ${value ? 'wake' : 'shut down'} node: ${error.message}`);
+    }
+  }
+
+  /**
+   * Refuse to shut down, reboot or empty a node unless its settings allow it
+   * Guards against a misclicked toggle or a Flow taking down a node by accident.
+   */
+  checkNodePowerAllowed() {
+    if (!this.getSetting('allowNodePower')) {
+      throw new Error(this.homey.__('errors.node_power_disabled'));
+    }
+  }
+
+  /**
+   * Shut down or reboot this node
+   * @param {string} command - 'shutdown' or 'reboot'
+   */
+  async setNodePower(command) {
+    this.checkNodePowerAllowed();
+    await this.checkPermission('nodePower');
+
+    const data = this.getData();
+    const credentials = this.getCredentials();
+    await ProxmoxAPI.setNodePower(credentials.id, credentials.host, credentials.port, data.node, command, credentials.tokenID, credentials.tokenSecret);
+    this.log(`Node ${data.node} ${command} command sent successfully`);
+  }
+
+  /**
+   * Wake this node with wake-on-LAN
+   * The MAC address is taken from the wakeonlan option of the node configuration in Proxmox.
+   * @returns {Promise<string>} MAC address the magic packet was sent to
+   */
+  async wakeNode() {
+    await this.checkPermission('nodePower');
+
+    const data = this.getData();
+    const credentials = this.getCredentials();
+    const mac = await ProxmoxAPI.wakeNode(credentials.id, credentials.host, credentials.port, data.node, credentials.tokenID, credentials.tokenSecret);
+    this.log(`Node ${data.node} wake-on-LAN packet sent to ${mac}`);
+    return mac;
+  }
+
+  /**
+   * Stop all guests on this node, in reverse startup order
+   * @param {number} [timeout] - Seconds to wait for each guest to shut down
+   * @param {boolean} [forceStop] - Hard stop guests that have not shut down after the timeout
+   * @returns {Promise<string>} UPID of the task
+   */
+  async stopAllGuests(timeout, forceStop) {
+    this.checkNodePowerAllowed();
+    await this.checkPermission('power');
+
+    const data = this.getData();
+    const credentials = this.getCredentials();
+    const upid = await ProxmoxAPI.stopAllGuests(
+      credentials.id, credentials.host, credentials.port, data.node,
+      credentials.tokenID, credentials.tokenSecret, timeout, forceStop,
+    );
+    this.log(`Node ${data.node} stop all guests command sent successfully`);
+    return upid;
+  }
+
+  /**
+   * Read the configuration of this guest
+   * @returns {Promise<Object>} Configuration as returned by /nodes/{node}/{type}/{vmid}/config
+   */
+  async getGuestConfig() {
+    const data = this.getData();
+    return this.callGuestAPI('Reading configuration of', (node, credentials) => (data.type === 'lxc'
+      ? ProxmoxAPI.getLXCConfig(credentials.id, credentials.host, credentials.port, node, data.vmid, credentials.tokenID, credentials.tokenSecret)
+      : ProxmoxAPI.getVMConfig(credentials.id, credentials.host, credentials.port, node, data.vmid, credentials.tokenID, credentials.tokenSecret)));
+  }
+
+  /**
+   * Change the vCPUs and memory of this guest
+   * Checked against the capacity of the node first. Containers apply changes right away, VMs
+   * apply what cannot be hotplugged at their next start.
+   * @param {Object} resources - Any of cores, memory, balloon (VMs) and swap (LXC), sizes in MB
+   */
+  async setGuestResources(resources) {
+    if (resources.cores !== undefined) {
+      await this.checkPermission('cpuConfig');
+    }
+    if (resources.memory !== undefined || resources.balloon !== undefined || resources.swap !== undefined) {
+      await this.checkPermission('memoryConfig');
+    }
+
+    const data = this.getData();
+    if (data.type === 'lxc' && resources.balloon !== undefined) {
+      throw new Error(this.homey.__('errors.not_supported_for_lxc', { action: 'Ballooning' }));
+    }
+    if (data.type === 'vm' && resources.swap !== undefined) {
+      throw new Error(this.homey.__('errors.not_supported_for_vm', { action: 'Swap' }));
+    }
+
+    const config = await this.getGuestConfig();
+    const node = this.getNodeName();
+    const credentials = this.getCredentials();
+    const nodeStatus = await ProxmoxAPI.getNodeStatus(credentials.id, credentials.host, credentials.port, node, credentials.tokenID, credentials.tokenSecret);
+
+    if (resources.cores !== undefined && nodeStatus.cpuinfo) {
+      // VMs get cores per socket
+      const vcpus = resources.cores * (data.type === 'vm' ? config.sockets || 1 : 1);
+      if (vcpus > nodeStatus.cpuinfo.cpus) {
+        throw new Error(this.homey.__('errors.exceeds_node_capacity', {
+          resource: 'vCPUs', value: vcpus, capacity: nodeStatus.cpuinfo.cpus, node,
+        }));
+      }
+    }
+    if (resources.memory !== undefined && nodeStatus.memory) {
+      const nodeMemory = Math.floor(nodeStatus.memory.total / (1024 ** 2));
+      if (resources.memory > nodeMemory) {
+        throw new Error(this.homey.__('errors.exceeds_node_capacity', {
+          resource: 'Memory', value: `${resources.memory} MB`, capacity: `${nodeMemory} MB`, node,
+        }));
+      }
+    }
+    const memory = resources.memory !== undefined ? resources.memory : config.memory;
+    if (resources.balloon !== undefined && memory !== undefined && resources.balloon > memory) {
+      throw new Error(this.homey.__('errors.balloon_above_memory', { balloon: resources.balloon, memory }));
+    }
+
+    const params = {
+      cores: resources.cores,
+      memory: resources.memory,
+      balloon: resources.balloon,
+      swap: resources.swap,
+    };
+    await this.callGuestAPI('Reconfiguring', (guestNode, guestCredentials) => (data.type === 'lxc'
+      ? ProxmoxAPI.updateLXCConfig(guestCredentials.id, guestCredentials.host, guestCredentials.port, guestNode, data.vmid, params, guestCredentials.tokenID, guestCredentials.tokenSecret)
+      : ProxmoxAPI.updateVMConfig(guestCredentials.id, guestCredentials.host, guestCredentials.port, guestNode, data.vmid, params, guestCredentials.tokenID, guestCredentials.tokenSecret)));
+    this.log(`${data.type === 'lxc' ? 'LXC' : 'VM'} ${data.vmid} reconfigured:`, JSON.stringify(resources));
+
+    this.updateStatus().catch(this.error);
+  }
+
+  /**
+   * List the disks of this guest that can be resized
+   * Bind mounts, CD-ROM drives and passed-through devices are left out.
+   * @returns {Promise<Array>} Disks as { id, storage, size } with size in bytes
+   */
+  async getGuestDisks() {
+    const data = this.getData();
+    const config = await this.getGuestConfig();
+    const pattern = data.type === 'lxc' ? /^(rootfs|mp\d+)$/ : /^(scsi|virtio|sata|ide)\d+$/;
+
+    const disks = [];
+    for (const [id, value] of Object.entries(config)) {
+      const volume = String(value);
+      if (!pattern.test(id) || volume.includes('media=cdrom')) {
+        continue;
+      }
+      const storage = volume.match(/^([^:/,]+):/);
+      if (!storage) {
+        continue;
+      }
+      const size = volume.match(/(?:^|,)size=([\d.]+)([KMGT]?)/);
+      disks.push({
+        id,
+        storage: storage[1],
+        size: size ? parseFloat(size[1]) * (1024 ** ' KMGT'.indexOf(size[2] || ' ')) : null,
+      });
+    }
+    return disks;
+  }
+
+  /**
+   * Grow a disk of this guest
+   * Proxmox cannot shrink disks. The growth is checked against the free space of the disk's storage.
+   * @param {string} disk - Disk ID, e.g. rootfs or scsi0
+   * @param {number} size - Growth in GB
+   * @returns {Promise<string|null>} UPID of the resize task
+   */
+  async resizeGuestDisk(disk, size) {
+    await this.checkPermission('diskResize');
+
+    const data = this.getData();
+    const target = (await this.getGuestDisks()).find((guestDisk) => guestDisk.id === disk);
+    if (!target) {
+      throw new Error(this.homey.__('errors.unknown_disk', { disk }));
+    }
+
+    const node = this.getNodeName();
+    const credentials = this.getCredentials();
+    const storage = await ProxmoxAPI.getStorageStatus(
+      credentials.id, credentials.host, credentials.port, node, target.storage,
+      credentials.tokenID, credentials.tokenSecret,
+    );
+    if (storage && storage.avail !== undefined && size * (1024 ** 3) > storage.avail) {
+      throw new Error(this.homey.__('errors.insufficient_storage', {
+        storage: target.storage,
+        available: this.roundToOneDecimal(storage.avail / (1024 ** 3)),
+        disk,
+        size,
+      }));
+    }
+
+    const result = await this.callGuestAPI('Resizing disk of', (guestNode, guestCredentials) => (data.type === 'lxc'
+      ? ProxmoxAPI.resizeLXCDisk(guestCredentials.id, guestCredentials.host, guestCredentials.port, guestNode, data.vmid, disk, `+${size}G`, guestCredentials.tokenID, guestCredentials.tokenSecret)
+      : ProxmoxAPI.resizeVMDisk(guestCredentials.id, guestCredentials.host, guestCredentials.port, guestNode, data.vmid, disk, `+${size}G`, guestCredentials.tokenID, guestCredentials.tokenSecret)));
+    this.log(`${data.type === 'lxc' ? 'LXC' : 'VM'} ${data.vmid} disk ${disk} grown by ${size} GB`);
+    return result;
+  }
+
+  /**
+   * List the nodes of the cluster this device belongs to
+   * @returns {Promise<Array>} Nodes as returned by /nodes
+   */
+  async getClusterNodes() {
+    const credentials = this.getCredentials();
+    return ProxmoxAPI.getNodes(credentials.id, credentials.host, credentials.port, credentials.tokenID, credentials.tokenSecret);
+  }
+
+  /**
+   * Migrate this guest to another node and wait for the migration to finish
+   * Running VMs are live migrated in 'online' mode. In 'restart' mode, and always for running
+   * containers (which cannot be live migrated), the guest is stopped, moved and started again.
+   * @param {string} target - Target node
+   * @param {string} mode - 'online' or 'restart'
+   */
+  async migrateGuest(target, mode) {
+    await this.checkPermission('migration');
+
+    const data = this.getData();
+    const settings = this.getSettings();
+    const credentials = this.getCredentials();
+    const sourceNode = this.getNodeName();
+    if (target === sourceNode) {
+      throw new Error(this.homey.__('errors.already_on_node', { node: target }));
+    }
+
+    const isRunning = this.getCapabilityValue('onoff') === true;
+    this.log(`Migrating ${data.type} ${data.vmid} from ${sourceNode} to ${target} (${mode}, ${isRunning ? 'running' : 'stopped'})`);
+
+    if (data.type === 'lxc') {
+      const upid = await this.callGuestAPI('Migrating', (node) => ProxmoxAPI.migrateLXC(
+        credentials.id, credentials.host, credentials.port, node, data.vmid, target,
+        credentials.tokenID, credentials.tokenSecret, isRunning,
+      ));
+      await this.followTask(upid, true);
+    } else if (mode === 'online' || !isRunning) {
+      const upid = await this.callGuestAPI('Migrating', (node) => ProxmoxAPI.migrateVM(
+        credentials.id, credentials.host, credentials.port, node, data.vmid, target,
+        credentials.tokenID, credentials.tokenSecret, isRunning,
+      ));
+      await this.followTask(upid, true);
+    } else {
+      // Restart migration for a VM: shut down, move while offline, start on the target
+      await this.followTask(await this.shutdownGuest(settings.shutdownTimeout, settings.shutdownForceStop), true);
+      const upid = await this.callGuestAPI('Migrating', (node) => ProxmoxAPI.migrateVM(
+        credentials.id, credentials.host, credentials.port, node, data.vmid, target,
+        credentials.tokenID, credentials.tokenSecret, false,
+      ));
+      await this.followTask(upid, true);
+      await this.setNodeName(target);
+      await this.followTask(await this.startGuest(), true);
+    }
+
+    await this.setNodeName(target);
+  }
+
+  /**
+   * List snapshots of this guest, newest first
+   * The 'current' pseudo-snapshot returned by Proxmox is left out.
+   * @returns {Promise<Array>} Snapshots with name, description and snaptime
+   */
+  async getSnapshots() {
+    const data = this.getData();
+    const snapshots = await this.callGuestAPI('Listing snapshots of', (node, credentials) => (data.type === 'lxc'
+      ? ProxmoxAPI.getLXCSnapshots(credentials.id, credentials.host, credentials.port, node, data.vmid, credentials.tokenID, credentials.tokenSecret)
+      : ProxmoxAPI.getVMSnapshots(credentials.id, credentials.host, credentials.port, node, data.vmid, credentials.tokenID, credentials.tokenSecret)));
+
+    return (snapshots || [])
+      .filter((snapshot) => snapshot.name !== 'current')
+      .sort((a, b) => (b.snaptime || 0) - (a.snaptime || 0));
+  }
+
+  /**
+   * Create a snapshot of this guest
+   * @param {string} name - Snapshot name (must start with a letter, Proxmox naming rules)
+   * @param {string} [description] - Optional description
+   */
+  async createSnapshot(name, description) {
+    await this.checkPermission('snapshots');
+
+    if (!/^[A-Za-z][A-Za-z0-9_-]+$/.test(name)) {
+      throw new Error(this.homey.__('errors.invalid_snapshot_name', { name }));
+    }
+
+    const data = this.getData();
+    return this.callGuestAPI('Creating snapshot of', (node, credentials) => (data.type === 'lxc'
+      ? ProxmoxAPI.createLXCSnapshot(credentials.id, credentials.host, credentials.port, node, data.vmid, name, description, credentials.tokenID, credentials.tokenSecret)
+      : ProxmoxAPI.createVMSnapshot(credentials.id, credentials.host, credentials.port, node, data.vmid, name, description, credentials.tokenID, credentials.tokenSecret)));
+  }
+
+  /**
+   * Roll this guest back to a snapshot
+   * @param {string} name - Snapshot name
+   */
+  async rollbackSnapshot(name) {
+    await this.checkPermission('snapshots');
+
+    const data = this.getData();
+    return this.callGuestAPI('Rolling back', (node, credentials) => (data.type === 'lxc'
+      ? ProxmoxAPI.rollbackLXCSnapshot(credentials.id, credentials.host, credentials.port, node, data.vmid, name, credentials.tokenID, credentials.tokenSecret)
+      : ProxmoxAPI.rollbackVMSnapshot(credentials.id, credentials.host, credentials.port, node, data.vmid, name, credentials.tokenID, credentials.tokenSecret)));
+  }
+
+  /**
+   * Delete a snapshot of this guest
+   * @param {string} name - Snapshot name
+   */
+  async deleteSnapshot(name) {
+    await this.checkPermission('snapshots');
+
+    const data = this.getData();
+    return this.callGuestAPI('Deleting snapshot of', (node, credentials) => (data.type === 'lxc'
+      ? ProxmoxAPI.deleteLXCSnapshot(credentials.id, credentials.host, credentials.port, node, data.vmid, name, credentials.tokenID, credentials.tokenSecret)
+      : ProxmoxAPI.deleteVMSnapshot(credentials.id, credentials.host, credentials.port, node, data.vmid, name, credentials.tokenID, credentials.tokenSecret)));
+  }
+
+  /**
+   * List storages on the guest's node that can hold backups
+   * @returns {Promise<Array>} Storages as returned by /nodes/{node}/storage
+   */
+  async getBackupStorages() {
+    const credentials = this.getCredentials();
+    const storages = await ProxmoxAPI.getNodeStorages(
+      credentials.id, credentials.host, credentials.port, this.getNodeName(),
+      credentials.tokenID, credentials.tokenSecret, 'backup',
+    );
+    return (storages || []).filter((storage) => storage.active !== 0 && storage.enabled !== 0);
+  }
+
+  /**
+   * Start a vzdump backup of this guest and watch the task until it finishes
+   * @param {Object} options - Backup options: storage, mode, compress
+   * @returns {Promise<string>} UPID of the backup task
+   */
+  async startBackup(options) {
+    await this.checkPermission('backups');
+
+    const data = this.getData();
+    const upid = await this.callGuestAPI('Starting backup of', (node, credentials) => ProxmoxAPI.startBackup(
+      credentials.id, credentials.host, credentials.port, node, data.vmid, options,
+      credentials.tokenID, credentials.tokenSecret,
+    ));
+
+    this.trackTask(upid)
+      .then(async (result) => {
+        if (this.driver && this.driver.backupFinishedTrigger) {
+          this.driver.backupFinishedTrigger.trigger(this, {
+            status: result.exitStatus,
+            success: result.success,
+            duration: result.duration,
+          }).catch(this.error);
+        }
+        if (result.success) {
+          await this.updateBackupAge();
+        }
+      })
+      .catch(this.error);
+
+    return upid;
+  }
+
+  /**
+   * Update the age of the newest backup of this guest across all backup storages
+   * Fires the backup too old trigger when the age crosses the configured threshold.
+   */
+  async updateBackupAge() {
+    // Removed when the token cannot list storage contents
+    if (!this.hasCapability('sensor_backup_age')) {
+      return;
+    }
+
+    const data = this.getData();
+    const credentials = this.getCredentials();
+    const node = this.getNodeName();
+
+    const storages = await this.getBackupStorages();
+    let newestBackup = null;
+    for (const storage of storages) {
+      try {
+        const backups = await ProxmoxAPI.getStorageContent(
+          credentials.id, credentials.host, credentials.port, node, storage.storage,
+          credentials.tokenID, credentials.tokenSecret, 'backup', data.vmid,
+        );
+        for (const backup of backups || []) {
+          if (backup.vmid === data.vmid && backup.ctime && (newestBackup === null || backup.ctime > newestBackup)) {
+            newestBackup = backup.ctime;
+          }
+        }
+      } catch (error) {
+        // Storage might be offline, continue checking other storages
+        this.log(`Could not list backups on storage ${storage.storage}:`, error.message);
+      }
+    }
+
+    if (newestBackup === null) {
+      this.log(`No backups found for ${data.type} ${data.vmid}`);
+      await this.setCapabilityValue('sensor_backup_age', null).catch(this.error);
+      return;
+    }
+
+    const ageDays = this.roundToOneDecimal((Date.now() / 1000 - newestBackup) / 86400);
+    await this.setCapabilityValue('sensor_backup_age', ageDays);
+
+    // Trigger when the last backup becomes older than the threshold
+    const { backupAge } = this.thresholdTracking;
+    if (ageDays > backupAge.threshold && !backupAge.above) {
+      backupAge.above = true;
+      if (this.driver && this.driver.backupTooOldTrigger) {
+        this.driver.backupTooOldTrigger.trigger(this, { backup_age: ageDays }).catch(this.error);
+      }
+    } else if (ageDays <= backupAge.threshold) {
+      backupAge.above = false;
+    }
+  }
+
+  /**
+   * Query the QEMU guest agent of this VM, when enabled in its settings
+   * Sets the IP address, the OS name and the usage of every filesystem. Fires the agent not
+   * responding trigger once when an agent that answered before stops answering, so a VM that is
+   * still booting does not fire it. Stopped VMs are skipped.
+   * @param {boolean} [enabled] - Whether the guest agent is enabled, defaults to the setting
+   */
+  async updateGuestAgent(enabled = this.getSetting('useGuestAgent')) {
+    if (!enabled) {
+      this.agentResponding = null;
+      for (const capability of this.getCapabilities()) {
+        if (GUEST_AGENT_CAPABILITIES.includes(capability.split('.')[0])) {
+          await this.removeCapability(capability);
+        }
+      }
+      return;
+    }
+    if (!this.getCapabilityValue('onoff')) {
+      this.agentResponding = null;
+      return;
+    }
+
+    const data = this.getData();
+    const credentials = this.getCredentials();
+    const node = this.getNodeName();
+    try {
+      await ProxmoxAPI.pingGuestAgent(credentials.id, credentials.host, credentials.port, node, data.vmid, credentials.tokenID, credentials.tokenSecret);
+    } catch (error) {
+      // Proxmox answers with a 500 when the agent is not configured, not running or times out
+      if (!(error instanceof ServerError)) {
+        throw error;
+      }
+      if (this.agentResponding !== false) {
+        this.log(`Guest agent of VM ${data.vmid} is not responding:`, error.message);
+        if (this.agentResponding && this.driver && this.driver.agentNotRespondingTrigger) {
+          this.driver.agentNotRespondingTrigger.trigger(this, { error: error.reason || error.message }).catch(this.error);
+        }
+        this.agentResponding = false;
+      }
+      return;
+    }
+    this.agentResponding = true;
+
+    // Agents of older guests lack some commands, so every reply is optional
+    const query = (command) => ProxmoxAPI.getGuestAgentInfo(
+      credentials.id, credentials.host, credentials.port, node, data.vmid, command,
+      credentials.tokenID, credentials.tokenSecret,
+    )
+      .then((reply) => (reply ? reply.result : null))
+      .catch((error) => {
+        this.log(`Guest agent command ${command} failed:`, error.message);
+        return undefined;
+      });
+    const [interfaces, filesystems, osInfo] = await Promise.all([
+      query('network-get-interfaces'),
+      query('get-fsinfo'),
+      query('get-osinfo'),
+    ]);
+
+    if (interfaces !== undefined) {
+      await this.updateIPAddress(GuestAgent.primaryAddress(interfaces));
+    }
+    if (osInfo !== undefined) {
+      await this.setOptionalCapability('sensor_os_name', GuestAgent.osName(osInfo));
+    }
+    if (filesystems !== undefined) {
+      await this.updateFilesystems(GuestAgent.filesystems(filesystems));
+    }
+  }
+
+  /**
+   * Set a capability that is only added when there is a value for it
+   */
+  async setOptionalCapability(capability, value) {
+    if (!this.hasCapability(capability)) {
+      await this.addCapability(capability);
+    }
+    await this.setCapabilityValue(capability, value);
+  }
+
+  /**
+   * Read the network interfaces of this LXC container
+   * Sets its IP address and lists every interface with its addresses in the device settings.
+   * Stopped containers keep the addresses they had.
+   */
+  async updateInterfaces() {
+    if (!this.getCapabilityValue('onoff')) {
+      return;
+    }
+
+    const data = this.getData();
+    const credentials = this.getCredentials();
+    const interfaces = GuestAgent.fromLXCInterfaces(await ProxmoxAPI.getLXCInterfaces(
+      credentials.id, credentials.host, credentials.port, this.getNodeName(), data.vmid,
+      credentials.tokenID, credentials.tokenSecret,
+    ));
+
+    await this.updateIPAddress(GuestAgent.primaryAddress(interfaces));
+
+    const description = GuestAgent.describeInterfaces(interfaces);
+    if (description !== this.getSetting('interfaces')) {
+      await this.setSettings({ interfaces: description });
+    }
+  }
+
+  /**
+   * Set the IP address of a VM or LXC
+   * Fires the IP address changed trigger when it changes from one address to another, e.g. when a
+   * DHCP lease is renewed with a new address. Getting a first address or losing it does not fire.
+   * @param {string|null} address - Primary IP address
+   */
+  async updateIPAddress(address) {
+    const previous = this.hasCapability('sensor_ip_address') ? this.getCapabilityValue('sensor_ip_address') : null;
+    await this.setOptionalCapability('sensor_ip_address', address);
+
+    if (previous && address && previous !== address) {
+      this.log(`IP address changed from ${previous} to ${address}`);
+      if (this.driver && this.driver.ipAddressChangedTrigger) {
+        this.driver.ipAddressChangedTrigger.trigger(this, { old_address: previous, new_address: address }).catch(this.error);
+      }
+    }
+  }
+
+  /**
+   * Show the usage of every filesystem of the VM as a measure_filesystem.<mountpoint> sub-capability
+   * Filesystems that are no longer mounted lose their capability.
+   * @param {Array} filesystems - Filesystems as returned by GuestAgent.filesystems
+   */
+  async updateFilesystems(filesystems) {
+    const capabilities = filesystems.map((filesystem) => `measure_filesystem.${filesystem.key}`);
+    for (const capability of this.getCapabilities()) {
+      if (capability.startsWith('measure_filesystem.') && !capabilities.includes(capability)) {
+        await this.removeCapability(capability);
+      }
+    }
+
+    for (const filesystem of filesystems) {
+      const capability = `measure_filesystem.${filesystem.key}`;
+      if (!this.hasCapability(capability)) {
+        await this.addCapability(capability);
+        await this.setCapabilityOptions(capability, { title: { en: `Filesystem ${filesystem.mountpoint}` } });
+      }
+      await this.setCapabilityValue(capability, filesystem.percent);
+    }
+  }
+
+  /**
+   * Run a command in this VM through the QEMU guest agent and wait for it to exit
+   * @param {string} command - Command line, program and arguments separated by spaces
+   * @returns {Promise<Object>} Object with exitCode, stdout and stderr
+   */
+  async execInGuest(command) {
+    const parts = GuestAgent.parseCommand(command);
+    if (parts.length === 0) {
+      throw new Error(this.homey.__('errors.empty_command'));
+    }
+    await this.checkPermission('guestAgent');
+
+    const data = this.getData();
+    const { pid } = await this.callGuestAPI('Running a command in', (node, credentials) => ProxmoxAPI.execInGuest(
+      credentials.id, credentials.host, credentials.port, node, data.vmid, parts,
+      credentials.tokenID, credentials.tokenSecret,
+    ));
+
+    const node = this.getNodeName();
+    const credentials = this.getCredentials();
+    const started = Date.now();
+    while (Date.now() - started < GUEST_EXEC_TIMEOUT) {
+      const status = await ProxmoxAPI.getGuestExecStatus(
+        credentials.id, credentials.host, credentials.port, node, data.vmid, pid,
+        credentials.tokenID, credentials.tokenSecret,
+      );
+      if (status.exited) {
+        this.log(`Command ${parts[0]} in VM ${data.vmid} exited with ${status.exitcode}`);
+        return {
+          exitCode: status.exitcode !== undefined ? status.exitcode : -1,
+          stdout: status['out-data'] || '',
+          stderr: status['err-data'] || '',
+        };
+      }
+      await new Promise((resolve) => this.homey.setTimeout(resolve, 1000));
+    }
+    throw new Error(this.homey.__('errors.guest_exec_timeout', { command: parts[0], seconds: GUEST_EXEC_TIMEOUT / 1000 }));
+  }
+
+  /**
+   * onAdded is called when the user adds the device, called just after pairing.
+   */
+  async onAdded() {
+    this.log('ProxmoxDevice has been added');
+
+    // Set initial availability
+    await this.setAvailable().catch(this.error);
+  }
+
+  /**
+   * onSettings is called when the user updates the device's settings.
+  /**
+   * onRenamed is called when the user updates the device's name.
+   * This method can be used this to synchronise the name to the device.
+   * @param {string} name The new name
+   */
+  async onRenamed(name) {
+    this.log('ProxmoxDevice was renamed to:', name);
+  }
+
+  /**
+   * onDeleted is called when the user deleted the device.
+   */
+  async onDeleted() {
+    this.log('ProxmoxDevice has been deleted');
+
+    // Stop receiving updates from the shared poller
+    this.stopPolling();
+
+    // Stop backup age timer
+    if (this.backupAgeTimer) {
+      this.homey.clearInterval(this.backupAgeTimer);
+    }
+    if (this.guestAgentTimer) {
+      this.homey.clearInterval(this.guestAgentTimer);
+    }
+    if (this.interfacesTimer) {
+      this.homey.clearInterval(this.interfacesTimer);
+    }
+  }
+
+};
+
+module.exports.MANAGED_CAPABILITIES = MANAGED_CAPABILITIES;
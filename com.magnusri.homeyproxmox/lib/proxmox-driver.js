@@ -0,0 +1,346 @@
+'use strict';
+
+const Homey = require('homey');
+const DeviceIdentity = require('./device-identity');
+const ProxmoxAPI = require('./proxmox-api');
+
+// Display names for Proxmox storage plugin types
+const STORAGE_TYPE_LABELS = {
+  btrfs: 'BTRFS',
+  cephfs: 'CephFS',
+  cifs: 'CIFS',
+  dir: 'Directory',
+  glusterfs: 'GlusterFS',
+  iscsi: 'iSCSI',
+  iscsidirect: 'iSCSI',
+  lvm: 'LVM',
+  lvmthin: 'LVM-Thin',
+  nfs: 'NFS',
+  pbs: 'PBS',
+  rbd: 'Ceph RBD',
+  zfs: 'ZFS over iSCSI',
+  zfspool: 'ZFS',
+};
+
+/**
+ * Complete the data of a device to pair with its cluster and the ID derived from both
+ * @param {string} cluster - Cluster name
+ * @param {Object} data - Device data without id
+ */
+function identify(cluster, data) {
+  const identified = { id: DeviceIdentity.key(cluster, data), cluster };
+  for (const [key, value] of Object.entries(data)) {
+    identified[key] = value;
+  }
+  return identified;
+}
+
+/**
+ * Shared pairing and repair of the cluster, node, VM, LXC and storage drivers
+ * Subclasses define deviceType, the kind of resource they pair. The flow card run listeners
+ * are registered once by the app, see FlowCards.
+ */
+module.exports = class ProxmoxDriver extends Homey.Driver {
+
+  /**
+   * Type of the devices this driver pairs: 'cluster', 'node', 'vm', 'lxc' or 'storage'
+   */
+  get deviceType() {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * onInit is called when the driver is initialized.
+   */
+  async onInit() {
+    this.log(`${this.constructor.name} has been initialized`);
+
+    // Trigger cards fired by the devices
+    this.vmStartedTrigger = this.homey.flow.getDeviceTriggerCard('vm_started');
+    this.vmStoppedTrigger = this.homey.flow.getDeviceTriggerCard('vm_stopped');
+    this.cpuAboveThresholdTrigger = this.homey.flow.getDeviceTriggerCard('cpu_above_threshold');
+    this.memoryAboveThresholdTrigger = this.homey.flow.getDeviceTriggerCard('memory_above_threshold');
+    this.deviceUnreachableTrigger = this.homey.flow.getDeviceTriggerCard('device_unreachable');
+    this.highNetworkTrafficTrigger = this.homey.flow.getDeviceTriggerCard('high_network_traffic');
+    this.highDiskIOTrigger = this.homey.flow.getDeviceTriggerCard('high_disk_io');
+    this.diskSpaceLowTrigger = this.homey.flow.getDeviceTriggerCard('disk_space_low');
+    this.diskFreeBelowTrigger = this.homey.flow.getDeviceTriggerCard('disk_free_below');
+    this.backupFinishedTrigger = this.homey.flow.getDeviceTriggerCard('backup_finished');
+    this.backupTooOldTrigger = this.homey.flow.getDeviceTriggerCard('backup_too_old');
+    this.taskFinishedTrigger = this.homey.flow.getDeviceTriggerCard('task_finished');
+    this.taskFailedTrigger = this.homey.flow.getDeviceTriggerCard('task_failed');
+    this.guestMigratedTrigger = this.homey.flow.getDeviceTriggerCard('guest_migrated');
+    this.nodeTemperatureAboveTrigger = this.homey.flow.getDeviceTriggerCard('node_temperature_above');
+    this.loadAboveThresholdTrigger = this.homey.flow.getDeviceTriggerCard('load_above_threshold');
+    this.swapAboveThresholdTrigger = this.homey.flow.getDeviceTriggerCard('swap_above_threshold');
+    this.ioDelayAboveThresholdTrigger = this.homey.flow.getDeviceTriggerCard('io_delay_above_threshold');
+    this.pveVersionChangedTrigger = this.homey.flow.getDeviceTriggerCard('pve_version_changed');
+    this.agentNotRespondingTrigger = this.homey.flow.getDeviceTriggerCard('agent_not_responding');
+    this.ipAddressChangedTrigger = this.homey.flow.getDeviceTriggerCard('ip_address_changed');
+    this.quorumLostTrigger = this.homey.flow.getDeviceTriggerCard('quorum_lost');
+    this.nodeLeftClusterTrigger = this.homey.flow.getDeviceTriggerCard('node_left_cluster');
+    this.haResourceErrorTrigger = this.homey.flow.getDeviceTriggerCard('ha_resource_error');
+  }
+
+  /**
+   * Test the connection entered in the login view and store it
+   * @param {Object} data - Login form with connectionId, name, host, port, authMethod, tokenID, tokenSecret,
+   *   username, password, otp, tlsMode, ca and fingerprint
+   * @returns {Object} The stored connection
+   */
+  async saveLogin(data) {
+    const connection = {
+      id: data.connectionId || null,
+      name: data.name,
+      host: data.host,
+      port: data.port || '8006',
+      authMethod: data.authMethod,
+      tokenID: data.tokenID,
+      tokenSecret: data.tokenSecret,
+      username: data.username,
+      password: data.password,
+      tlsMode: data.tlsMode,
+      ca: data.ca,
+      fingerprint: data.fingerprint,
+    };
+
+    // Verify the certificate and log in the same way the stored connection will, without touching
+    // the stored connections until it worked. The TOTP code is only needed for this first login,
+    // the stored connection takes over its ticket and renews it without the code.
+    const ticket = await ProxmoxAPI.testSettings(connection, data.otp);
+
+    return this.homey.app.saveConnection(connection, ticket);
+  }
+
+  /**
+   * Which features the connection's token or user may use, shown after logging in
+   * @returns {Array|null} Report entries with id, title, status and missing, or null if unknown
+   */
+  async getPermissionReport(connection) {
+    const permissions = await this.homey.app.getPermissions(connection.id);
+    return permissions ? permissions.report() : null;
+  }
+
+  /**
+   * Identity keys of the paired devices, to hide them when pairing
+   * Devices whose cluster is not known yet are matched by connection.
+   * @param {Object} connection - Connection being paired
+   * @param {string} cluster - Cluster name of that connection
+   * @returns {Set} Identity keys
+   */
+  getPairedIdentities(connection, cluster) {
+    const identities = new Set();
+    // Include the other drivers, devices paired before the split all belong to the legacy driver
+    for (const driver of Object.values(this.homey.drivers.getDrivers())) {
+      for (const device of driver.getDevices()) {
+        if (device.getClusterName()) {
+          identities.add(device.getIdentity());
+        } else if (device.getStoreValue('connectionId') === connection.id) {
+          identities.add(DeviceIdentity.key(cluster, device.getData()));
+        }
+      }
+    }
+    return identities;
+  }
+
+  async onPair(session) {
+    const { app } = this.homey;
+    let connection = null;
+
+    // Handler to list the existing connections in the login form
+    session.setHandler('get_connections', async () => {
+      this.log('Providing existing connections to login form');
+      return app.getConnections();
+    });
+
+    // Certificate fingerprints of the entered nodes, to pin them on first use
+    session.setHandler('get_fingerprints', async (data) => {
+      return ProxmoxAPI.getCertificateFingerprints(data.host, data.port || '8006');
+    });
+
+    session.setHandler('login', async (data) => {
+      try {
+        // Store (or update) the connection at app level for future use
+        connection = await this.saveLogin(data);
+        return this.getPermissionReport(connection);
+      } catch (error) {
+        this.error('Login failed:', error.message);
+        throw new Error(`Failed to connect to Proxmox: ${error.message}`);
+      }
+    });
+
+    session.setHandler('list_devices', async () => {
+      try {
+        // Devices are identified by cluster, so a migrated guest is still recognized as paired.
+        // Without the cluster name their IDs would change once it is known, so don't pair them.
+        const cluster = await app.getClusterName(connection.id);
+        if (!cluster) {
+          throw new Error(this.homey.__('errors.cluster_name_unknown'));
+        }
+        const devices = await this.listDevices(connection, cluster);
+
+        // Leave out what is already paired, also when it was paired on another node or with an older ID
+        const paired = this.getPairedIdentities(connection, cluster);
+        return devices
+          .filter((device) => !paired.has(device.data.id))
+          .map((device) => {
+            device.store = { connectionId: connection.id };
+            return device;
+          });
+      } catch (error) {
+        this.error('Failed to list devices:', error.message);
+        throw new Error(`Failed to get resources: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Devices of this driver's type on a connection, see deviceType
+   * @param {Object} connection - Connection with id, host, port, tokenID and tokenSecret
+   * @param {string} cluster - Cluster name, part of the device IDs
+   * @returns {Array} Devices with name and data
+   */
+  async listDevices(connection, cluster) {
+    const {
+      id, host, port, tokenID, tokenSecret,
+    } = connection;
+
+    // Every connection is one cluster, a standalone host counts as a cluster of one node
+    if (this.deviceType === 'cluster') {
+      return [{
+        name: `Cluster: ${cluster}`,
+        data: identify(cluster, { type: 'cluster' }),
+      }];
+    }
+
+    const nodes = await ProxmoxAPI.getNodes(id, host, port, tokenID, tokenSecret);
+
+    if (this.deviceType === 'node') {
+      return nodes.map((node) => ({
+        name: `Node: ${node.node}`,
+        data: identify(cluster, {
+          type: 'node',
+          node: node.node,
+        }),
+      }));
+    }
+
+    if (this.deviceType === 'lxc' || this.deviceType === 'vm') {
+      const devices = [];
+      for (const node of nodes) {
+        try {
+          const guests = this.deviceType === 'lxc'
+            ? await ProxmoxAPI.getLXCs(id, host, port, node.node, tokenID, tokenSecret)
+            : await ProxmoxAPI.getVMs(id, host, port, node.node, tokenID, tokenSecret);
+          for (const guest of guests) {
+            devices.push({
+              name: `${guest.vmid} - ${guest.name}`,
+              data: identify(cluster, {
+                type: this.deviceType,
+                node: node.node,
+                vmid: guest.vmid,
+              }),
+            });
+          }
+        } catch (error) {
+          this.log(`Could not get ${this.deviceType === 'lxc' ? 'LXCs' : 'VMs'} for node ${node.node}:`, error.message);
+        }
+      }
+      return devices;
+    }
+
+    // /cluster/resources lists every storage once per node, with a flag for shared storages
+    const devices = [];
+    const storages = await ProxmoxAPI.getClusterResources(id, host, port, tokenID, tokenSecret, 'storage');
+    const sharedSeen = new Set();
+    const sortedStorages = storages
+      .filter((s) => s.type === 'storage')
+      .sort((a, b) => a.storage.localeCompare(b.storage) || a.node.localeCompare(b.node));
+
+    for (const storage of sortedStorages) {
+      const typeLabel = STORAGE_TYPE_LABELS[storage.plugintype] || storage.plugintype || 'Storage';
+
+      if (storage.shared) {
+        // Shared storages are the same on every node, pair them once
+        if (sharedSeen.has(storage.storage)) {
+          continue;
+        }
+        sharedSeen.add(storage.storage);
+
+        // Query status through a node where the storage is currently available
+        const available = sortedStorages.find((s) => s.storage === storage.storage && s.status === 'available');
+        devices.push({
+          name: `${typeLabel}: ${storage.storage}`,
+          data: identify(cluster, {
+            type: 'storage',
+            storageType: storage.plugintype,
+            storage: storage.storage,
+            node: (available || storage).node,
+            shared: true,
+          }),
+        });
+      } else {
+        // Local storages with the same name are different pools on every node
+        devices.push({
+          name: `${typeLabel}: ${storage.storage} (${storage.node})`,
+          data: identify(cluster, {
+            type: 'storage',
+            storageType: storage.plugintype,
+            storage: storage.storage,
+            node: storage.node,
+            shared: false,
+          }),
+        });
+      }
+    }
+    return devices;
+  }
+
+  /**
+   * onPairListDevices is called when a user is adding a device
+   * and the 'list_devices' view is called.
+   * This should return an array with the data of devices that are available for pairing.
+   */
+  async onPairListDevices() {
+    return [];
+  }
+
+  async onRepair(session, device) {
+    const { app } = this.homey;
+
+    session.setHandler('get_connections', async () => {
+      return app.getConnections();
+    });
+
+    session.setHandler('get_fingerprints', async (data) => {
+      return ProxmoxAPI.getCertificateFingerprints(data.host, data.port || '8006');
+    });
+
+    session.setHandler('login', async (data) => {
+      try {
+        // Updating an existing connection applies the new credentials to all of its devices
+        const connection = await this.saveLogin(data);
+        await device.setStoreValue('connectionId', connection.id);
+
+        // Mark device as available
+        await device.setAvailable();
+
+        // Re-register with the poller of the (possibly different) connection
+        device.startPolling();
+
+        // Pick up the privileges of the (possibly different) token
+        await device.updatePermissions();
+        await device.updateIdentity();
+
+        // Trigger an immediate status update
+        await device.updateStatus();
+
+        return this.getPermissionReport(connection);
+      } catch (error) {
+        this.error('Repair failed:', error.message);
+        throw new Error(`Failed to repair device: ${error.message}`);
+      }
+    });
+  }
+
+};
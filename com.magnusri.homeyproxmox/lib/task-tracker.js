@@ -0,0 +1,140 @@
+'use strict';
+
+const ProxmoxAPI = require('./proxmox-api');
+
+// How often to check the status of a running task (ms)
+const POLL_INTERVAL = 2000;
+
+// Give up waiting for a task after this long (ms)
+const DEFAULT_TIMEOUT = 60 * 60 * 1000;
+
+// Consecutive status errors tolerated before giving up
+const MAX_ERRORS = 3;
+
+/**
+ * Tracks Proxmox tasks (UPIDs) until they finish
+ * Every POST that starts work on the cluster returns a UPID; polling
+ * /nodes/{node}/tasks/{upid}/status tells when and how that work ended.
+ */
+class TaskTracker {
+
+  /**
+   * @param {Object} homey - Homey instance (used for timers)
+   */
+  constructor(homey) {
+    this.homey = homey;
+    this.tasks = new Map();
+  }
+
+  /**
+   * Parse a UPID into its parts
+   * Format: UPID:{node}:{pid}:{pstart}:{starttime}:{type}:{id}:{user}:
+   * @param {string} upid - Task UPID
+   * @returns {Object|null} Object with node, starttime (seconds), type, id and user, or null if invalid
+   */
+  static parseUPID(upid) {
+    const parts = typeof upid === 'string' ? upid.split(':') : [];
+    if (parts[0] !== 'UPID' || parts.length < 8) {
+      return null;
+    }
+    return {
+      node: parts[1],
+      starttime: parseInt(parts[4], 16),
+      type: parts[5],
+      id: parts[6],
+      user: parts[7],
+    };
+  }
+
+  /**
+   * Check whether a task exit status means success
+   * Proxmox reports 'OK', or 'WARNINGS: n' for tasks that completed with warnings.
+   */
+  static isSuccess(exitStatus) {
+    return exitStatus === 'OK' || (typeof exitStatus === 'string' && exitStatus.startsWith('WARNINGS'));
+  }
+
+  /**
+   * Wait for a task to finish
+   * Tracking the same UPID twice returns the same promise.
+   * @param {Object} credentials - Connection with id, host, port, tokenID, tokenSecret
+   * @param {string} upid - Task UPID
+   * @param {number} [timeout] - Maximum time to wait in ms
+   * @returns {Promise<Object>} Result with upid, node, type, exitStatus, success and duration (seconds)
+   */
+  track(credentials, upid, timeout = DEFAULT_TIMEOUT) {
+    if (this.tasks.has(upid)) {
+      return this.tasks.get(upid).promise;
+    }
+
+    const info = TaskTracker.parseUPID(upid);
+    if (!info) {
+      return Promise.reject(new Error(`Invalid task ID: ${upid}`));
+    }
+
+    const entry = { timer: null, promise: null };
+    entry.promise = new Promise((resolve, reject) => {
+      const startedAt = Date.now();
+      let errors = 0;
+
+      const check = async () => {
+        entry.timer = null;
+        try {
+          const status = await ProxmoxAPI.getTaskStatus(
+            credentials.id, credentials.host, credentials.port, info.node, upid,
+            credentials.tokenID, credentials.tokenSecret,
+          );
+          errors = 0;
+
+          if (status.status !== 'running') {
+            const startTime = (status.starttime || info.starttime) * 1000;
+            const exitStatus = status.exitstatus || 'unknown';
+            resolve({
+              upid,
+              node: info.node,
+              type: status.type || info.type,
+              exitStatus,
+              success: TaskTracker.isSuccess(exitStatus),
+              duration: Math.max(0, Math.round((Date.now() - startTime) / 1000)),
+            });
+            return;
+          }
+        } catch (error) {
+          errors++;
+          if (errors >= MAX_ERRORS) {
+            reject(new Error(`Failed to get task status: ${error.message}`));
+            return;
+          }
+        }
+
+        if (Date.now() - startedAt > timeout) {
+          reject(new Error(`Timed out waiting for task ${info.type} to finish`));
+          return;
+        }
+        entry.timer = this.homey.setTimeout(check, POLL_INTERVAL);
+      };
+
+      entry.timer = this.homey.setTimeout(check, POLL_INTERVAL);
+    });
+
+    this.tasks.set(upid, entry);
+    const cleanup = () => this.tasks.delete(upid);
+    entry.promise.then(cleanup, cleanup);
+    return entry.promise;
+  }
+
+  /**
+   * Stop tracking all tasks
+   */
+  stop() {
+    for (const entry of this.tasks.values()) {
+      if (entry.timer) {
+        this.homey.clearTimeout(entry.timer);
+      }
+    }
+    this.tasks.clear();
+  }
+
+}
+
+module.exports = TaskTracker;